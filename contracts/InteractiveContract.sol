@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+contract InteractiveContract {
+    address public owner;
+    uint256 public value;
+    uint256 public interactionCount;
+    string public lastAction;
+    mapping(address => uint256) public contributions;
+
+    event ValueUpdated(address indexed by, uint256 newValue, string actionType);
+    event Contributed(address indexed contributor, uint256 amount);
+
+    constructor() {
+        owner = msg.sender;
+        value = 0;
+        interactionCount = 0;
+        lastAction = "Contract created";
+    }
+
+    function setValue(uint256 _value) public {
+        value = _value;
+        interactionCount++;
+        lastAction = "setValue";
+        emit ValueUpdated(msg.sender, _value, "setValue");
+    }
+
+    function increment() public {
+        value++;
+        interactionCount++;
+        lastAction = "increment";
+        emit ValueUpdated(msg.sender, value, "increment");
+    }
+
+    function decrement() public {
+        if (value > 0) {
+            value--;
+        }
+        interactionCount++;
+        lastAction = "decrement";
+        emit ValueUpdated(msg.sender, value, "decrement");
+    }
+
+    function contribute() public payable {
+        require(msg.value > 0, "Contribution must be greater than 0");
+        contributions[msg.sender] += msg.value;
+        interactionCount++;
+        lastAction = "contribute";
+        emit Contributed(msg.sender, msg.value);
+    }
+
+    function getStats() public view returns (uint256, uint256, string memory) {
+        return (value, interactionCount, lastAction);
+    }
+
+    function reset() public {
+        require(msg.sender == owner, "Only owner can reset");
+        value = 0;
+        interactionCount++;
+        lastAction = "reset";
+        emit ValueUpdated(msg.sender, 0, "reset");
+    }
+}
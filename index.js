@@ -1,14 +1,24 @@
 // index.js
 const fs = require('fs').promises;
-const path = require('path');
 const chalk = require('chalk');
 const logger = require('./src/utils/logger');
 const { showBanner } = require('./src/utils/banner');
 const { withErrorHandling } = require('./src/utils/errorHandler');
+const { getDefaultNetworkName, getBridgeNetworkNames } = require('./src/utils/networks');
+const { getKeystoreConfig, findKeystoreFiles, getPassphrase, writeKeystores } = require('./src/utils/keystore');
+const { getHdWalletConfig, loadMnemonic, deriveWallets } = require('./src/utils/hdwallet');
+const PrivateKeySigner = require('./src/signers/PrivateKeySigner');
+const KeystoreSigner = require('./src/signers/KeystoreSigner');
+const RemoteSigner = require('./src/signers/RemoteSigner');
+const { getOfflineConfig, readPreparedTransactions } = require('./src/utils/preparedTransactions');
+const BlockchainManager = require('./src/managers/BlockchainManager');
 
 // Import operation registry
 const OperationRegistry = require('./src/operations/OperationRegistry');
 
+// Signers unlocked from keystores or derived from a mnemonic, kept in memory only so this happens once per run
+let unlockedSigners = null;
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
     console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
@@ -50,7 +60,9 @@ function getDefaultConfig() {
                     max: 0.0004,
                     decimals: 7
                 },
-                repeat_times: 1
+                repeat_times: 1,
+                source_network: "sepolia",
+                target_network: "fhenix"
             },
             transfer: {
                 enabled: true,
@@ -84,7 +96,8 @@ function getDefaultConfig() {
                 iterations: {
                     min: 2,
                     max: 3
-                }
+                },
+                pipelined: false
             },
             random_contract: {
                 enabled: true,
@@ -126,13 +139,115 @@ function getDefaultConfig() {
                 operations_per_batch: {
                     min: 2,
                     max: 3
-                }
+                },
+                pipelined: false
             }
         },
         general: {
+            network: "fhenix",
             gas_price_multiplier: 1.2,
+            fees: {
+                mode: "auto",
+                priority_fee_percentile: 50,
+                fee_history_blocks: 10,
+                min_gwei: 0.0001,
+                max_gwei: 200,
+                min_priority_fee_gwei: 0.0001,
+                max_priority_fee_gwei: 5
+            },
             max_retries: 5,
             base_wait_time: 10,
+            stuck_transaction: {
+                timeout_seconds: 180,
+                action: "speed_up",
+                max_replacements: 2,
+                fee_bump_percent: 15
+            },
+            pipeline: {
+                max_in_flight: 5
+            },
+            rpc_pool: {
+                health_check_interval_seconds: 60,
+                max_block_lag: 5,
+                failure_threshold: 3,
+                cooldown_seconds: 60,
+                request_timeout_seconds: 30
+            },
+            confirmation_timeout_seconds: 120,
+            dry_run: false,
+            offline: {
+                enabled: false,
+                sign: true,
+                file: "data/prepared-transactions.jsonl",
+                default_gas: 150000
+            },
+            journal: {
+                enabled: true,
+                directory: "data/journal"
+            },
+            compilation_cache: {
+                enabled: true,
+                directory: "data/cache/contracts"
+            },
+            compiler: {
+                contracts_directory: "contracts",
+                include_paths: ["node_modules"],
+                remappings: [],
+                version: null,
+                solc_directory: "data/cache/solc",
+                download: false,
+                solc_sha256: {},
+                optimizer: true,
+                optimizer_runs: 200,
+                evm_version: "paris",
+                via_ir: false,
+                metadata_hash: "ipfs",
+                contracts: {}
+            },
+            signer: {
+                type: "local",
+                remote: {
+                    url: "http://127.0.0.1:8550",
+                    accounts: [],
+                    timeout_seconds: 120
+                }
+            },
+            hd_wallet: {
+                enabled: false,
+                mnemonic_env: "WALLET_MNEMONIC",
+                mnemonic_file: "data/mnemonic.txt",
+                derivation_path: "m/44'/60'/0'/0",
+                start_index: 0,
+                count: 5
+            },
+            keystore: {
+                directory: "data/keystore",
+                passphrase_env: "KEYSTORE_PASSPHRASE",
+                allow_plaintext_keys: true
+            },
+            preflight: {
+                max_block_age_seconds: 300
+            },
+            policy: {
+                enabled: true,
+                allowed_destinations: ["self", "deployed", "bridge"],
+                allow_deployments: true,
+                max_value: null,
+                forbidden_selectors: [],
+                allowed_chain_ids: []
+            },
+            budget: {
+                max_gas_cost: null,
+                max_value: null,
+                max_fee_per_tx: null,
+                wallets: {}
+            },
+            cost_planner: {
+                enabled: true,
+                min_balance_to_keep: 0.01,
+                priorities: [],
+                call_gas: 150000
+            },
             delay: {
                 min_seconds: 5,
                 max_seconds: 30
@@ -147,10 +262,72 @@ function getDefaultConfig() {
 }
 
 /**
- * Load private keys from file
- * @returns {Promise<string[]>} Array of private keys
+ * Derive signers from the HD wallet mnemonic and print the derived addresses
+ * @param {Object} config - Configuration object
+ * @returns {Promise<PrivateKeySigner[]>} Array of signers, in index order
+ */
+async function loadHdWalletSigners(config) {
+    const hdWalletConfig = getHdWalletConfig(config);
+    const { mnemonic, source } = await loadMnemonic(hdWalletConfig);
+    
+    if (source === 'file' && !getKeystoreConfig(config).allowPlaintextKeys) {
+        throw new Error(`Plaintext keys are disabled; pass the mnemonic in ${hdWalletConfig.mnemonicEnv} instead of ${hdWalletConfig.mnemonicFile}`);
+    }
+    
+    const wallets = deriveWallets(mnemonic, hdWalletConfig.derivationPath, hdWalletConfig.startIndex, hdWalletConfig.count);
+    
+    logger.success(`Derived ${wallets.length} wallets from mnemonic (${hdWalletConfig.derivationPath}/${hdWalletConfig.startIndex}-${hdWalletConfig.startIndex + wallets.length - 1})`);
+    wallets.forEach((wallet, i) => logger.info(`  Wallet ${i + 1}: index ${wallet.index} ${wallet.address}`));
+    
+    return wallets.map(wallet => new PrivateKeySigner(wallet.privateKey));
+}
+
+/**
+ * Load the wallet signers: a remote signer's accounts if signer.type is "remote", otherwise keys
+ * derived from a mnemonic if hd_wallet is enabled, encrypted keystores if there are any, or data/pk.txt
+ * @param {Object} config - Configuration object
+ * @returns {Promise<BaseSigner[]>} Array of signers
  */
-async function loadPrivateKeys() {
+async function loadSigners(config) {
+    const signerType = (config.general && config.general.signer && config.general.signer.type) || 'local';
+    
+    if (signerType === 'remote') {
+        const signers = await RemoteSigner.fromConfig(config);
+        logger.success(`Using ${signers.length} accounts of remote signer ${RemoteSigner.getConfig(config).url}`);
+        return signers;
+    }
+    
+    if (getHdWalletConfig(config).enabled) {
+        if (!unlockedSigners) {
+            unlockedSigners = await loadHdWalletSigners(config);
+        }
+        
+        return unlockedSigners;
+    }
+    
+    const keystoreConfig = getKeystoreConfig(config);
+    const keystoreFiles = await findKeystoreFiles(keystoreConfig.directory);
+    
+    if (keystoreFiles.length > 0) {
+        if (!unlockedSigners) {
+            const passphrase = await getPassphrase({ passphraseEnv: keystoreConfig.passphraseEnv });
+            const signers = [];
+            
+            for (const file of keystoreFiles) {
+                signers.push(await new KeystoreSigner(file, passphrase).init());
+            }
+            
+            unlockedSigners = signers;
+            logger.success(`Unlocked ${unlockedSigners.length} keystores from ${keystoreConfig.directory}`);
+        }
+        
+        return unlockedSigners;
+    }
+    
+    if (!keystoreConfig.allowPlaintextKeys) {
+        throw new Error(`No keystores found in ${keystoreConfig.directory} and plaintext keys are disabled. Run "npm run convert-keys" to create them.`);
+    }
+    
     try {
         const pkFile = await fs.readFile('data/pk.txt', 'utf8');
         const privateKeys = pkFile.split('\n')
@@ -158,10 +335,92 @@ async function loadPrivateKeys() {
             .filter(line => line);
         
         logger.success(`Successfully loaded ${privateKeys.length} private keys`);
-        return privateKeys;
+        logger.warn(`Private keys are stored unencrypted; run "npm run convert-keys" to move them to encrypted keystores`);
+        return privateKeys.map(privateKey => new PrivateKeySigner(privateKey));
     } catch (error) {
         logger.error(`Error loading private keys: ${error.message}`);
-        throw new Error('Unable to load private keys. Make sure data/pk.txt exists.');
+        throw new Error(`Unable to load private keys. Add keystores to ${keystoreConfig.directory} or private keys to data/pk.txt.`);
+    }
+}
+
+/**
+ * Convert data/pk.txt into encrypted keystores
+ * The plaintext file is left in place so it can be checked and deleted by hand
+ * @returns {Promise<void>}
+ */
+async function convertPrivateKeys() {
+    const config = await loadConfig();
+    const keystoreConfig = getKeystoreConfig(config);
+    
+    const pkFile = await fs.readFile('data/pk.txt', 'utf8');
+    const privateKeys = pkFile.split('\n')
+        .map(line => line.trim())
+        .filter(line => line);
+    
+    if (privateKeys.length === 0) {
+        throw new Error('data/pk.txt contains no private keys');
+    }
+    
+    const passphrase = await getPassphrase({ passphraseEnv: keystoreConfig.passphraseEnv, confirm: true });
+    const { created, skipped } = await writeKeystores(privateKeys, passphrase, keystoreConfig.directory);
+    
+    created.forEach(wallet => logger.success(`Created ${wallet.file} for ${wallet.address}`));
+    skipped.forEach(wallet => logger.warn(`Skipped ${wallet.address}: keystore ${wallet.file} already exists`));
+    
+    logger.info(`Converted ${created.length} of ${privateKeys.length} keys. Check the keystores, then delete data/pk.txt`);
+}
+
+/**
+ * Broadcast transactions prepared in offline mode, per sender in nonce order, and report each receipt
+ * After a failure the sender's later transactions are skipped, as they could not be mined past the gap
+ * @param {string} [file] - Prepared transactions file (defaults to general.offline.file)
+ * @returns {Promise<void>}
+ */
+async function broadcastPreparedTransactions(file) {
+    const config = await loadConfig();
+    const preparedFile = file || getOfflineConfig(config).file;
+    const records = await readPreparedTransactions(preparedFile);
+    
+    if (records.length === 0) {
+        throw new Error(`${preparedFile} contains no prepared transactions`);
+    }
+    
+    // Unsigned transactions are signed now by the wallet that prepared them
+    const signers = records.some(record => !record.rawTransaction) ? await loadSigners(config) : [];
+    const managers = new Map();
+    const failedSenders = new Set();
+    const counts = { confirmed: 0, failed: 0, skipped: 0 };
+    
+    logger.header(`Broadcasting ${records.length} prepared transactions from ${preparedFile}`);
+    
+    for (const record of records) {
+        const sender = `${record.network}:${record.from.toLowerCase()}`;
+        
+        if (failedSenders.has(sender)) {
+            logger.warn(`Skipping ${record.methodName} (nonce ${record.nonce}) from ${record.from}: an earlier transaction of this sender failed`);
+            counts.skipped++;
+            continue;
+        }
+        
+        if (!managers.has(sender)) {
+            const signer = signers.find(candidate => candidate.address.toLowerCase() === record.from.toLowerCase()) || null;
+            managers.set(sender, new BlockchainManager(signer, config));
+        }
+        
+        const result = await managers.get(sender).broadcastPreparedTransaction(record);
+        
+        if (result.success) {
+            counts.confirmed++;
+        } else {
+            counts.failed++;
+            failedSenders.add(sender);
+        }
+    }
+    
+    logger.header(`Broadcast finished: ${counts.confirmed} confirmed, ${counts.failed} failed, ${counts.skipped} skipped`);
+    
+    if (counts.failed > 0 || counts.skipped > 0) {
+        process.exitCode = 1;
     }
 }
 
@@ -194,19 +453,65 @@ function selectRandomProxy(proxies) {
     return proxies[Math.floor(Math.random() * proxies.length)];
 }
 
+/**
+ * Check every network the enabled operations use and print a network report
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ * @throws {Error} If an RPC serves a different chain than configured
+ */
+async function runNetworkPreflight(config) {
+    logger.header('Network check');
+    
+    // Key-less manager, only used to query the networks
+    const blockchain = new BlockchainManager(null, config);
+    const networks = [getDefaultNetworkName(config)];
+    
+    // Bridging signs on its source network and watches the balance on its target network
+    if (config.operations && config.operations.bridge && config.operations.bridge.enabled) {
+        const { source, target } = getBridgeNetworkNames(config);
+        [source, target].filter(network => !networks.includes(network)).forEach(network => networks.push(network));
+    }
+    
+    for (const network of networks) {
+        const report = await blockchain.verifyNetwork(network, true);
+        blockchain.logNetworkReport(report);
+        
+        if (report.chainIdMatches === false) {
+            throw new Error(`RPC for ${report.name} serves chain ID ${report.chainId} instead of ${report.expectedChainId}; check the network settings in config.json`);
+        }
+    }
+}
+
+/**
+ * Settle transactions the journals still list as pending, then start a cycle or resume the unfinished one
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object|null>} Cycle state, or null if the journal is disabled
+ */
+async function startJournalCycle(config) {
+    // Key-less manager, only used to query the networks and write the journals
+    const blockchain = new BlockchainManager(null, config);
+    if (!blockchain.isJournalEnabled()) return null;
+    
+    const counts = await blockchain.reconcileJournal();
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+        logger.info(`Journal reconciled: ${counts.confirmed} confirmed, ${counts.reverted} reverted, ${counts.dropped} dropped, ${counts.pending} still pending`);
+    }
+    
+    return await blockchain.beginJournalCycle();
+}
+
 /**
  * Execute operations for a wallet
- * @param {string} privateKey - Wallet private key
+ * @param {BaseSigner} signer - Wallet signer
  * @param {Object} config - Configuration object
  * @param {number} walletNum - Wallet number
  * @returns {Promise<boolean>} Success status
  */
-async function executeWalletOperations(privateKey, config, walletNum) {
+async function executeWalletOperations(signer, config, walletNum) {
     return withErrorHandling(async () => {
-        const walletLogger = logger.getInstance(walletNum);
-        
         // Initialize operation registry with all available operations
-        const registry = new OperationRegistry(privateKey, config, walletNum);
+        const registry = new OperationRegistry(signer, config, walletNum);
         
         // Run all operations in optimized order
         return await registry.executeAll();
@@ -265,10 +570,78 @@ async function countdownTimer(hours = 8) {
     countdownLogger.success(`Countdown completed!`);
 }
 
+/**
+ * Log the estimated gas and cost per wallet at the end of a dry run
+ * @param {BaseSigner[]} signers - Wallet signers
+ * @param {Object} config - Configuration object
+ */
+function logDryRunSummary(signers, config) {
+    logger.header('Dry run summary (estimated gas and cost per wallet)');
+    
+    // Key-less manager, only used to read the simulation totals
+    const blockchain = new BlockchainManager(null, config);
+    signers.forEach(signer => blockchain.logSimulationSummary(signer.address));
+}
+
+/**
+ * Log the prepared transactions file at the end of an offline run: transactions per network and wallet with their nonces
+ * Nonces that are missing or used twice are flagged, as the broadcast would stop at them
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+async function logOfflineSummary(config) {
+    const { file } = getOfflineConfig(config);
+    logger.header(`Offline summary (${file})`);
+    
+    let records;
+    try {
+        records = await readPreparedTransactions(file);
+    } catch (error) {
+        logger.warn(`No prepared transactions to summarize: ${error.message}`);
+        return;
+    }
+    
+    // Records come grouped by network and sender, each group in nonce order
+    const groups = new Map();
+    records.forEach(record => {
+        const sender = `${record.network} ${record.from}`;
+        if (!groups.has(sender)) groups.set(sender, []);
+        groups.get(sender).push(Number(record.nonce));
+    });
+    
+    groups.forEach((nonces, sender) => {
+        const consecutive = nonces.every((nonce, i) => i === 0 || nonce === nonces[i - 1] + 1);
+        const range = nonces.length > 1 ? `nonces ${nonces[0]}-${nonces[nonces.length - 1]}` : `nonce ${nonces[0]}`;
+        
+        if (consecutive) {
+            logger.info(`${sender}: ${nonces.length} transactions, ${range}`);
+        } else {
+            logger.warn(`${sender}: ${nonces.length} transactions, ${range}, with missing or repeated nonces`);
+        }
+    });
+    
+    logger.success(`${records.length} prepared transactions from ${groups.size} wallets. Review them, then run npm run broadcast`);
+}
+
+/**
+ * Log each wallet's budget usage at the end of a cycle
+ * @param {BaseSigner[]} signers - Wallet signers
+ * @param {Object} config - Configuration object
+ */
+function logBudgetSummary(signers, config) {
+    logger.header('Budget usage (gas cost and value sent per wallet this cycle)');
+    
+    // Key-less manager, only used to read the budget usage
+    const blockchain = new BlockchainManager(null, config);
+    signers.forEach(signer => blockchain.logBudgetSummary(signer.address));
+}
+
 /**
  * Main application function
  */
 async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    
     while (true) {
         // Start with global logger (no wallet context)
         logger.setWalletNum(null);
@@ -277,26 +650,54 @@ async function main() {
         showBanner();
 
         try {
-            // Load configuration and private keys
+            // Load configuration and wallet signers
             const config = await loadConfig();
-            const privateKeys = await loadPrivateKeys();
+            
+            // --dry-run simulates every transaction instead of sending it
+            if (dryRun) {
+                config.general = { ...config.general, dry_run: true };
+            }
+            
+            if (config.general && config.general.dry_run) {
+                logger.warn('Dry run: transactions are simulated with eth_call and eth_estimateGas, nothing is broadcast');
+            } else if (getOfflineConfig(config).enabled) {
+                logger.warn(`Offline mode: transactions are prepared and written to ${getOfflineConfig(config).file}, nothing is broadcast`);
+            }
+            
+            const signers = await loadSigners(config);
             const proxies = await loadProxies();
             
-            logger.success(`Found ${privateKeys.length} private keys`);
+            // Fail early on an unknown network profile or an RPC serving another chain
+            await runNetworkPreflight(config);
+            
+            // After a crash, the cycle resumes from its checkpoints
+            await startJournalCycle(config);
+            
+            // Key-less manager, only used to read the wallet checkpoints
+            const journal = new BlockchainManager(null, config);
+            
+            logger.success(`Found ${signers.length} wallets`);
             logger.info(`Initializing automation...`);
 
             // Process wallets
-            logger.header(`Processing ${privateKeys.length} wallets...`);
+            logger.header(`Processing ${signers.length} wallets...`);
 
-            for (let i = 0; i < privateKeys.length; i++) {
+            for (let i = 0; i < signers.length; i++) {
                 const walletNum = i + 1;
-                const pk = privateKeys[i];
+                const signer = signers[i];
+                
+                // Wallets that finished this cycle before a restart are not run again
+                const checkpoint = await journal.getWalletCheckpoint(signer.address);
+                if (checkpoint && checkpoint.completedAt) {
+                    logger.info(`Wallet ${walletNum}/${signers.length} already finished this cycle, skipping`);
+                    continue;
+                }
                 
                 logger.setWalletNum(walletNum);
                 const walletLogger = logger.getInstance(walletNum);
                 
                 console.log(''); // Add newline for readability
-                walletLogger.header(`Processing Wallet ${walletNum}/${privateKeys.length}`);
+                walletLogger.header(`Processing Wallet ${walletNum}/${signers.length}`);
 
                 // Select random proxy if available
                 const proxy = selectRandomProxy(proxies);
@@ -305,16 +706,32 @@ async function main() {
                 }
                 
                 // Execute operations for this wallet
-                await executeWalletOperations(pk, config, walletNum);
+                await executeWalletOperations(signer, config, walletNum);
 
                 // Wait between wallets if not the last one
-                if (i < privateKeys.length - 1) {
+                if (i < signers.length - 1) {
                     await waitBetweenWallets(walletLogger);
                 }
             }
 
             // Reset to global logger for completion message
             logger.setWalletNum(null);
+            
+            // A dry run is a single pass
+            if (config.general && config.general.dry_run) {
+                logDryRunSummary(signers, config);
+                return;
+            }
+            
+            // So is offline preparation, as a second pass would prepare from the same network nonces again
+            if (getOfflineConfig(config).enabled) {
+                await logOfflineSummary(config);
+                return;
+            }
+            
+            logBudgetSummary(signers, config);
+            await journal.completeJournalCycle();
+            
             logger.header('Wallet processing completed! Starting 8-hour countdown...');
 
             // Start the countdown timer
@@ -327,5 +744,17 @@ async function main() {
     }
 }
 
-// Start the application
-main().catch(console.error);
\ No newline at end of file
+// Start the application, or run a one-off command
+if (process.argv[2] === 'convert-keys') {
+    convertPrivateKeys().catch(error => {
+        console.error(`\nError: ${error.message}`);
+        process.exit(1);
+    });
+} else if (process.argv[2] === 'broadcast') {
+    broadcastPreparedTransactions(process.argv[3]).catch(error => {
+        console.error(`\nError: ${error.message}`);
+        process.exit(1);
+    });
+} else {
+    main().catch(console.error);
+}
\ No newline at end of file
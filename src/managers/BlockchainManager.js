@@ -2,6 +2,67 @@
 const { Web3 } = require('web3');
 const constants = require('../utils/constants');
 const logger = require('../utils/logger');
+const { exponentialBackoff, wait } = require('../utils/delay');
+const { classifyError, ERROR_CATEGORIES, TransactionError } = require('../utils/errorClassifier');
+const NonceManager = require('./NonceManager');
+const RpcPool = require('./RpcPool');
+const PrivateKeySigner = require('../signers/PrivateKeySigner');
+const { getNetworkProfile, getDefaultNetworkName, formatExplorerUrl } = require('../utils/networks');
+const { getOfflineConfig, predictContractAddress, appendPreparedTransaction } = require('../utils/preparedTransactions');
+const { getPolicyConfig, evaluatePolicy } = require('../utils/transactionPolicy');
+const {
+    getJournalConfig,
+    getJournalFile,
+    listJournalNetworks,
+    appendJournalEntry,
+    readJournal,
+    getPendingEntries,
+    readCycleState,
+    writeCycleState,
+    readCheckpoints,
+    writeCheckpoints
+} = require('../utils/transactionJournal');
+
+// Detected EIP-1559 support per network, shared by all wallets
+const eip1559Support = new Map();
+
+// Network checks per network profile, shared by all wallets (promises, so concurrent senders share one check)
+const networkChecks = new Map();
+
+// Contracts prepared offline or simulated in a dry run (network:address), which do not exist on chain yet
+const undeployedContracts = new Set();
+
+// Next nonce per chain and address in a dry run, kept apart from the real nonce managers
+const simulatedNonces = new Map();
+
+// Next nonce per chain and address in offline mode; the network's pending nonce never moves, as nothing is broadcast
+const preparedNonces = new Map();
+
+// Dry run totals per wallet address and network: { transactions, reverted, gas, cost }
+const simulationTotals = new Map();
+
+// Contracts deployed by this tool ("<network key>:<lowercase address>"), allowed as destinations by the transaction policy
+const deployedContracts = new Set();
+
+// Budget usage of the current cycle per wallet address, then per network profile key:
+// { charges: Map(nonce -> { gasCost, value }), exhausted } with costs in wei
+const budgetUsage = new Map();
+
+// Cycle that journal entries belong to (see beginJournalCycle), shared by all wallets
+let journalCycle = null;
+
+// Receipts are returned whatever their status, so reverts are handled by finalizeReceipt
+const SEND_OPTIONS = { transactionResolver: receipt => receipt };
+
+// Categories of errors raised before a transaction reaches the mempool, so its nonce was not used
+// (reverts only count when no receipt was returned, i.e. web3 caught them before sending)
+const NONCE_UNUSED_CATEGORIES = [
+    ERROR_CATEGORIES.INSUFFICIENT_FUNDS,
+    ERROR_CATEGORIES.REPLACEMENT_UNDERPRICED,
+    ERROR_CATEGORIES.GAS_LIMIT_EXCEEDED,
+    ERROR_CATEGORIES.RATE_LIMITED,
+    ERROR_CATEGORIES.EXECUTION_REVERTED
+];
 
 /**
  * Manages blockchain interactions and transaction handling
@@ -10,35 +71,44 @@ class BlockchainManager {
     /**
      * Create a BlockchainManager instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner|string|null} signer - Wallet signer, or a private key for an in-memory signer
      * @param {Object} config - Configuration object
      * @param {number|null} walletNum - Wallet identifier for logging
      */
-    constructor(privateKey, config = {}, walletNum = null) {
-        // Initialize web3 connection
-        this.rpcUrl = constants.NETWORK.RPC_URL;
-        this.web3 = new Web3(this.rpcUrl);
+    constructor(signer, config = {}, walletNum = null) {
+        this.config = config;
         
-        // For bridging, we need Sepolia connection too
-        this.sepoliaWeb3 = new Web3(constants.SEPOLIA.RPC_URL);
+        // Web3 connections per network profile, created on first use
+        this.web3Instances = new Map();
         
-        // Setup account from private key
-        if (privateKey && !privateKey.startsWith('0x')) {
-            privateKey = '0x' + privateKey;
+        // Operations run on general.network; other profiles (e.g. sepolia for bridging) are used on demand
+        this.network = getDefaultNetworkName(config);
+        this.rpcUrl = getNetworkProfile(config, this.network).rpcUrls[0];
+        this.web3 = this.getWeb3(this.network);
+        
+        // All signing goes through the signer; no key material is kept here
+        if (typeof signer === 'string') {
+            signer = new PrivateKeySigner(signer);
         }
         
-        if (privateKey) {
-            this.account = this.web3.eth.accounts.privateKeyToAccount(privateKey);
-            this.address = this.account.address;
-            this.privateKey = privateKey;
+        if (signer) {
+            this.signer = signer;
+            this.address = signer.address;
         }
         
         this.walletNum = walletNum;
-        this.config = config;
         
-        // Add nonce tracking
-        this.currentNonce = null;
-        this.sepoliaNonce = null;
+        // Operation sending the transactions, recorded in the journal
+        this.operationName = null;
+        
+        // Network profiles this instance reserved nonces on, checked for nonce gaps afterwards
+        this.usedNetworks = new Set();
+        
+        // Failed transactions counted by error category
+        this.failureStats = {};
+        
+        // Outcomes of transactions that got stuck and were sped up or cancelled
+        this.stuckTransactions = [];
         
         // Use shared logger
         this.logger = walletNum !== null ? logger.getInstance(walletNum) : logger.getInstance();
@@ -67,51 +137,315 @@ class BlockchainManager {
     }
     
     /**
-     * Get the next nonce, considering pending transactions
+     * Set the operation whose transactions this instance sends, for the journal
      * 
-     * @param {string} network - Network name ('fhenix' or 'sepolia')
-     * @returns {Promise<number>} Next nonce value
+     * @param {string} name - Operation name
      */
-    async getNonce(network = 'fhenix') {
-        if (network === 'sepolia') {
-            if (this.sepoliaNonce === null) {
-                // If this is the first transaction, get the nonce from the network
-                this.sepoliaNonce = await this.sepoliaWeb3.eth.getTransactionCount(this.address);
-                this.logger.info(`Initial Sepolia nonce from network: ${this.sepoliaNonce}`);
-            } else {
-                // For subsequent transactions, use the tracked nonce
-                this.logger.info(`Using tracked Sepolia nonce: ${this.sepoliaNonce}`);
+    setOperationName(name) {
+        this.operationName = name;
+    }
+    
+    /**
+     * Get a network profile
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Object} Normalized network profile
+     */
+    getNetwork(network = this.network) {
+        return getNetworkProfile(this.config, network);
+    }
+    
+    /**
+     * Get RPC pool settings (general.rpc_pool)
+     * 
+     * @returns {Object} Pool settings
+     */
+    getRpcPoolConfig() {
+        const pool = (this.config.general && this.config.general.rpc_pool) || {};
+        const seconds = (value, fallback) => (value !== undefined ? Number(value) : fallback) * 1000;
+        
+        return {
+            healthCheckIntervalMs: seconds(pool.health_check_interval_seconds, constants.RPC_POOL.HEALTH_CHECK_INTERVAL_SECONDS),
+            maxBlockLag: pool.max_block_lag !== undefined ? Number(pool.max_block_lag) : constants.RPC_POOL.MAX_BLOCK_LAG,
+            failureThreshold: pool.failure_threshold !== undefined ? Number(pool.failure_threshold) : constants.RPC_POOL.FAILURE_THRESHOLD,
+            cooldownMs: seconds(pool.cooldown_seconds, constants.RPC_POOL.COOLDOWN_SECONDS),
+            requestTimeoutMs: seconds(pool.request_timeout_seconds, constants.RPC_POOL.REQUEST_TIMEOUT_SECONDS)
+        };
+    }
+    
+    /**
+     * Get the RPC endpoint pool of a network profile, shared by all wallets
+     * 
+     * @param {string} network - Network profile name
+     * @returns {RpcPool} Endpoint pool
+     */
+    getRpcPool(network = this.network) {
+        return RpcPool.getInstance(this.getNetwork(network), this.getRpcPoolConfig());
+    }
+    
+    /**
+     * Get the web3 instance for a network profile
+     * Requests go through the network's RPC pool, so they fail over between its endpoints
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Web3} Web3 instance
+     */
+    getWeb3(network = this.network) {
+        if (!this.web3Instances.has(network)) {
+            this.web3Instances.set(network, new Web3(this.getRpcPool(network)));
+        }
+        
+        return this.web3Instances.get(network);
+    }
+    
+    /**
+     * Get the explorer link for a transaction or address
+     * 
+     * @param {string} type - "tx" or "address"
+     * @param {string} value - Transaction hash or address
+     * @param {string} network - Network profile name
+     * @returns {string} Explorer URL, or the value itself if the network has no explorer
+     */
+    getExplorerUrl(type, value, network = this.network) {
+        return formatExplorerUrl(this.getNetwork(network), type, value);
+    }
+    
+    /**
+     * Sign a fully populated transaction with the wallet's signer
+     * 
+     * @param {Object} tx - Transaction with nonce, gas, fees and chainId set
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} { rawTransaction, transactionHash }
+     */
+    async signTransaction(tx, network = this.network) {
+        return await this.signer.signTransaction(tx, this.getWeb3(network));
+    }
+    
+    /**
+     * Sign a message with the wallet's signer
+     * 
+     * @param {string} message - Message to sign
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        return await this.signer.signMessage(message);
+    }
+    
+    /**
+     * Get startup network check settings (general.preflight)
+     * 
+     * @returns {Object} { maxBlockAgeSeconds }
+     */
+    getPreflightConfig() {
+        const preflight = (this.config.general && this.config.general.preflight) || {};
+        
+        return {
+            maxBlockAgeSeconds: preflight.max_block_age_seconds !== undefined
+                ? Number(preflight.max_block_age_seconds)
+                : constants.PREFLIGHT.MAX_BLOCK_AGE_SECONDS
+        };
+    }
+    
+    /**
+     * Check that a network's RPC serves the configured chain, is synced and has a recent block
+     * Every endpoint of the pool is health checked first, so endpoints on the wrong chain are dropped.
+     * The result is cached for the network and used to refuse signing on a chain ID mismatch.
+     * 
+     * @param {string} network - Network profile name
+     * @param {boolean} force - Run the check again even if a result is cached
+     * @returns {Promise<Object>} Network report
+     */
+    async verifyNetwork(network = this.network, force = false) {
+        const profile = this.getNetwork(network);
+        
+        if (!force && networkChecks.has(profile.key)) {
+            return await networkChecks.get(profile.key);
+        }
+        
+        const check = this._runNetworkCheck(profile);
+        networkChecks.set(profile.key, check);
+        
+        const report = await check;
+        
+        // An unreachable RPC proves nothing either way, so check again on next use
+        if (report.chainIdMatches === null && networkChecks.get(profile.key) === check) {
+            networkChecks.delete(profile.key);
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Run the network checks for a profile
+     * 
+     * @param {Object} profile - Normalized network profile
+     * @returns {Promise<Object>} Network report
+     * @private
+     */
+    async _runNetworkCheck(profile) {
+        const web3Instance = this.getWeb3(profile.key);
+        const { maxBlockAgeSeconds } = this.getPreflightConfig();
+        
+        const report = {
+            network: profile.key,
+            name: profile.name,
+            expectedChainId: profile.chainId,
+            chainId: null,
+            chainIdMatches: null,
+            syncing: null,
+            blockNumber: null,
+            blockAgeSeconds: null,
+            stale: null,
+            maxBlockAgeSeconds,
+            endpoints: [],
+            error: null,
+            ok: false
+        };
+        
+        report.endpoints = await this.getRpcPool(profile.key).checkHealth();
+        
+        try {
+            report.chainId = Number(await web3Instance.eth.getChainId());
+            report.chainIdMatches = report.chainId === profile.chainId;
+            
+            if (report.chainIdMatches) {
+                report.syncing = (await web3Instance.eth.isSyncing()) !== false;
+                
+                const block = await web3Instance.eth.getBlock('latest');
+                report.blockNumber = Number(block.number);
+                report.blockAgeSeconds = Math.max(0, Math.floor(Date.now() / 1000) - Number(block.timestamp));
+                report.stale = report.blockAgeSeconds > maxBlockAgeSeconds;
             }
-            return this.sepoliaNonce;
-        } else {
-            if (this.currentNonce === null) {
-                // If this is the first transaction, get the nonce from the network
-                this.currentNonce = await this.web3.eth.getTransactionCount(this.address);
-                this.logger.info(`Initial nonce from network: ${this.currentNonce}`);
+        } catch (error) {
+            // With every endpoint dropped for serving another chain there is nothing left to ask
+            const wrongChain = report.endpoints.find(endpoint => endpoint.wrongChain);
+            
+            if (wrongChain && report.endpoints.every(endpoint => endpoint.wrongChain)) {
+                report.chainId = wrongChain.chainId;
+                report.chainIdMatches = false;
             } else {
-                // For subsequent transactions, use the tracked nonce
-                this.logger.info(`Using tracked nonce: ${this.currentNonce}`);
+                report.error = error.message;
             }
-            return this.currentNonce;
         }
+        
+        report.ok = report.chainIdMatches === true && !report.syncing && !report.stale;
+        return report;
     }
     
     /**
-     * Update nonce after a transaction is sent
+     * Log a network report from verifyNetwork
      * 
-     * @param {string} network - Network name ('fhenix' or 'sepolia')
+     * @param {Object} report - Network report
      */
-    incrementNonce(network = 'fhenix') {
-        if (network === 'sepolia') {
-            if (this.sepoliaNonce !== null) {
-                this.sepoliaNonce++;
-                this.logger.info(`Incremented Sepolia nonce to: ${this.sepoliaNonce}`);
-            }
+    logNetworkReport(report) {
+        this.logger.info(`Network: ${report.name} (expected chain ID ${report.expectedChainId})`);
+        
+        report.endpoints.forEach(endpoint => {
+            const state = endpoint.wrongChain
+                ? `wrong chain (${endpoint.chainId})`
+                : endpoint.healthy
+                    ? `healthy, block ${endpoint.blockNumber}, ${Math.round(endpoint.latencyMs)}ms`
+                    : 'unreachable or lagging';
+            this.logger.info(`  RPC ${endpoint.url}: ${state}`);
+        });
+        
+        if (report.error) {
+            this.logger.error(`  Could not reach the RPC: ${report.error}`);
+            return;
+        }
+        
+        if (!report.chainIdMatches) {
+            this.logger.error(`  Chain ID mismatch: RPC serves ${report.chainId}, expected ${report.expectedChainId}. Signing is disabled for this network`);
+            return;
+        }
+        
+        this.logger.success(`  Chain ID: ${report.chainId}`);
+        
+        if (report.syncing) {
+            this.logger.warn(`  Node is still syncing; balances and nonces may be out of date`);
         } else {
-            if (this.currentNonce !== null) {
-                this.currentNonce++;
-                this.logger.info(`Incremented nonce to: ${this.currentNonce}`);
-            }
+            this.logger.success(`  Sync status: synced`);
+        }
+        
+        const blockInfo = `Latest block: ${report.blockNumber} (${report.blockAgeSeconds}s old)`;
+        if (report.stale) {
+            this.logger.warn(`  ${blockInfo}, older than ${report.maxBlockAgeSeconds}s; the node may be stalled`);
+        } else {
+            this.logger.success(`  ${blockInfo}`);
+        }
+    }
+    
+    /**
+     * Make sure a network's RPC serves the configured chain before signing for it
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Promise<void>}
+     * @throws {Error} If the RPC reports a different chain ID
+     */
+    async assertNetworkVerified(network = this.network) {
+        const report = await this.verifyNetwork(network);
+        
+        if (report.chainIdMatches === false) {
+            throw new Error(`Refusing to sign for ${report.name}: RPC serves chain ID ${report.chainId}, expected ${report.expectedChainId}`);
+        }
+    }
+    
+    /**
+     * Get the nonce manager shared by every operation of this wallet on a network
+     * 
+     * @param {string} network - Network profile name
+     * @returns {NonceManager} Nonce manager
+     */
+    getNonceManager(network = this.network) {
+        const chainId = this.getNetwork(network).chainId;
+        return NonceManager.getInstance(this.address, chainId, this.logger);
+    }
+    
+    /**
+     * Reserve the next nonce, considering pending transactions
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Promise<number>} Reserved nonce
+     */
+    async getNonce(network = this.network) {
+        const web3Instance = this.getWeb3(network);
+        this.usedNetworks.add(network);
+        return await this.getNonceManager(network).reserve(web3Instance);
+    }
+    
+    /**
+     * Get the network profiles this instance reserved nonces on
+     * 
+     * @returns {string[]} Network profile names
+     */
+    getUsedNetworks() {
+        return Array.from(this.usedNetworks);
+    }
+    
+    /**
+     * Report nonce gaps left by dropped or abandoned transactions
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Promise<Array>} Gaps as { nonce, txHash }
+     */
+    async checkNonceGaps(network = this.network) {
+        // Prepared transactions are not on the network yet, so every nonce would look like a gap
+        if (this.isOffline()) return [];
+        
+        const web3Instance = this.getWeb3(network);
+        
+        try {
+            const gaps = await this.getNonceManager(network).findGaps(web3Instance);
+            
+            gaps.forEach(gap => {
+                const dropped = gap.txHash ? ` (dropped transaction ${gap.txHash})` : '';
+                this.logger.warn(`Nonce gap at ${gap.nonce}${dropped}: later transactions will stay pending until it is filled`);
+            });
+            
+            return gaps;
+        } catch (error) {
+            this.logger.warn(`Could not check nonce gaps: ${error.message}`);
+            return [];
         }
     }
     
@@ -119,13 +453,15 @@ class BlockchainManager {
      * Enhanced gas price calculation with retries
      * 
      * @param {number} retryCount - Number of retry attempts
-     * @param {string} network - Network name ('fhenix' or 'sepolia')
+     * @param {string} network - Network profile name
      * @returns {Promise<string>} Gas price in wei
      */
-    async getGasPrice(retryCount = 0, network = 'fhenix') {
+    async getGasPrice(retryCount = 0, network = this.network) {
+        const { minGwei, maxGwei } = this.getFeeConfig();
+        
         try {
-            const web3Instance = network === 'sepolia' ? this.sepoliaWeb3 : this.web3;
-            const networkName = network === 'sepolia' ? 'Sepolia' : 'Fhenix';
+            const web3Instance = this.getWeb3(network);
+            const networkName = this.getNetwork(network).name;
             
             // Get the current gas price from the network
             const networkGasPrice = await web3Instance.eth.getGasPrice();
@@ -148,17 +484,17 @@ class BlockchainManager {
             this.logger.info(`${networkName} gas price: ${web3Instance.utils.fromWei(networkGasPrice, 'gwei')} gwei, using: ${gweiPrice} gwei (${multiplier.toFixed(2)}x)`);
             
             // Enforce min/max gas price in gwei
-            const minGasPrice = BigInt(web3Instance.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei'));
-            const maxGasPrice = BigInt(web3Instance.utils.toWei(constants.GAS.MAX_GWEI.toString(), 'gwei'));
+            const minGasPrice = BigInt(web3Instance.utils.toWei(minGwei.toString(), 'gwei'));
+            const maxGasPrice = BigInt(web3Instance.utils.toWei(maxGwei.toString(), 'gwei'));
             
             // Ensure gas price is within bounds
             let finalGasPrice = adjustedGasPrice;
             if (adjustedGasPrice < minGasPrice) {
                 finalGasPrice = minGasPrice;
-                this.logger.warn(`Gas price below minimum, using: ${constants.GAS.MIN_GWEI} gwei`);
+                this.logger.warn(`Gas price below minimum, using: ${minGwei} gwei`);
             } else if (adjustedGasPrice > maxGasPrice) {
                 finalGasPrice = maxGasPrice;
-                this.logger.warn(`Gas price above maximum, using: ${constants.GAS.MAX_GWEI} gwei`);
+                this.logger.warn(`Gas price above maximum, using: ${maxGwei} gwei`);
             }
             
             return finalGasPrice.toString();
@@ -166,24 +502,174 @@ class BlockchainManager {
             this.logger.warn(`Error getting gas price: ${error.message}`);
             
             // Fallback to a low gas price
-            const web3Instance = network === 'sepolia' ? this.sepoliaWeb3 : this.web3;
-            const fallbackGasPrice = web3Instance.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei');
-            this.logger.warn(`Using fallback gas price: ${constants.GAS.MIN_GWEI} gwei`);
+            const web3Instance = this.getWeb3(network);
+            const fallbackGasPrice = web3Instance.utils.toWei(minGwei.toString(), 'gwei');
+            this.logger.warn(`Using fallback gas price: ${minGwei} gwei`);
             
             return fallbackGasPrice;
         }
     }
     
+    /**
+     * Get fee settings from configuration (general.fees), falling back to constants.GAS
+     * 
+     * @returns {Object} Fee settings
+     */
+    getFeeConfig() {
+        const fees = (this.config.general && this.config.general.fees) || {};
+        
+        return {
+            mode: fees.mode || 'auto',
+            minGwei: fees.min_gwei !== undefined ? Number(fees.min_gwei) : constants.GAS.MIN_GWEI,
+            maxGwei: fees.max_gwei !== undefined ? Number(fees.max_gwei) : constants.GAS.MAX_GWEI,
+            minPriorityFeeGwei: fees.min_priority_fee_gwei !== undefined ? Number(fees.min_priority_fee_gwei) : constants.GAS.MIN_PRIORITY_FEE_GWEI,
+            maxPriorityFeeGwei: fees.max_priority_fee_gwei !== undefined ? Number(fees.max_priority_fee_gwei) : constants.GAS.MAX_PRIORITY_FEE_GWEI,
+            priorityFeePercentile: fees.priority_fee_percentile !== undefined ? Number(fees.priority_fee_percentile) : constants.GAS.PRIORITY_FEE_PERCENTILE,
+            feeHistoryBlocks: fees.fee_history_blocks !== undefined ? Number(fees.fee_history_blocks) : constants.GAS.FEE_HISTORY_BLOCKS
+        };
+    }
+    
+    /**
+     * Detect whether a network supports type-2 (EIP-1559) transactions
+     * The result is cached per network
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Promise<boolean>} True if EIP-1559 fees should be used
+     */
+    async supportsEip1559(network = this.network) {
+        // A fee model set on the network profile takes precedence over general.fees.mode
+        const mode = this.getNetwork(network).feeModel || this.getFeeConfig().mode;
+        if (mode === 'legacy') return false;
+        if (mode === 'eip1559') return true;
+        
+        if (eip1559Support.has(network)) {
+            return eip1559Support.get(network);
+        }
+        
+        const web3Instance = this.getWeb3(network);
+        let supported = false;
+        
+        try {
+            // A base fee on the latest block and a working eth_feeHistory mean the fee market is active
+            const block = await web3Instance.eth.getBlock('latest');
+            if (block && block.baseFeePerGas !== undefined && block.baseFeePerGas !== null) {
+                await web3Instance.eth.getFeeHistory(1, 'latest', []);
+                supported = true;
+            }
+        } catch (error) {
+            this.logger.warn(`EIP-1559 detection failed on ${network}: ${error.message}`);
+        }
+        
+        this.logger.info(`${network} fee model: ${supported ? 'EIP-1559' : 'legacy'}`);
+        eip1559Support.set(network, supported);
+        return supported;
+    }
+    
+    /**
+     * Calculate EIP-1559 fees from eth_feeHistory
+     * 
+     * @param {number} retryCount - Number of retry attempts
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} maxFeePerGas and maxPriorityFeePerGas in wei
+     */
+    async getEip1559Fees(retryCount = 0, network = this.network) {
+        const web3Instance = this.getWeb3(network);
+        const networkName = this.getNetwork(network).name;
+        const { minGwei, maxGwei, minPriorityFeeGwei, maxPriorityFeeGwei, priorityFeePercentile, feeHistoryBlocks } = this.getFeeConfig();
+        
+        const feeHistory = await web3Instance.eth.getFeeHistory(feeHistoryBlocks, 'latest', [priorityFeePercentile]);
+        
+        // The last base fee entry is the base fee of the next block
+        const baseFees = feeHistory.baseFeePerGas.map(fee => BigInt(fee));
+        const baseFee = baseFees[baseFees.length - 1];
+        
+        // Median of the percentile rewards paid in recent blocks
+        const rewards = (feeHistory.reward || [])
+            .map(reward => BigInt(reward[0]))
+            .filter(reward => reward > BigInt(0))
+            .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        
+        const minFee = BigInt(web3Instance.utils.toWei(minGwei.toString(), 'gwei'));
+        const maxFee = BigInt(web3Instance.utils.toWei(maxGwei.toString(), 'gwei'));
+        const minPriorityFee = BigInt(web3Instance.utils.toWei(minPriorityFeeGwei.toString(), 'gwei'));
+        const maxPriorityFee = BigInt(web3Instance.utils.toWei(maxPriorityFeeGwei.toString(), 'gwei'));
+        
+        let priorityFee = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : minPriorityFee;
+        
+        // Apply base multiplier from config and additional multiplier for retries
+        let multiplier = (this.config.general && this.config.general.gas_price_multiplier) || constants.GAS.PRICE_MULTIPLIER;
+        if (retryCount > 0) {
+            const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
+            multiplier *= retryMultiplier;
+            this.logger.info(`Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`);
+        }
+        priorityFee = BigInt(Math.floor(Number(priorityFee) * multiplier));
+        
+        // Keep the priority fee within the configured bounds
+        if (priorityFee < minPriorityFee) priorityFee = minPriorityFee;
+        if (priorityFee > maxPriorityFee) {
+            priorityFee = maxPriorityFee;
+            this.logger.warn(`Priority fee above maximum, using: ${maxPriorityFeeGwei} gwei`);
+        }
+        
+        // Leave room for the base fee to double before the transaction becomes unmineable
+        let maxFeePerGas = baseFee * BigInt(2) + priorityFee;
+        if (maxFeePerGas > maxFee) {
+            maxFeePerGas = maxFee;
+            this.logger.warn(`Max fee above maximum, using: ${maxGwei} gwei`);
+        }
+        if (maxFeePerGas < minFee) maxFeePerGas = minFee;
+        if (maxFeePerGas < priorityFee) maxFeePerGas = priorityFee;
+        
+        this.logger.info(`${networkName} base fee: ${web3Instance.utils.fromWei(baseFee.toString(), 'gwei')} gwei, priority: ${web3Instance.utils.fromWei(priorityFee.toString(), 'gwei')} gwei, max fee: ${web3Instance.utils.fromWei(maxFeePerGas.toString(), 'gwei')} gwei`);
+        
+        return {
+            maxFeePerGas: maxFeePerGas.toString(),
+            maxPriorityFeePerGas: priorityFee.toString()
+        };
+    }
+    
+    /**
+     * Get fee fields for a transaction, using EIP-1559 where supported and legacy gasPrice otherwise
+     * 
+     * @param {number} retryCount - Number of retry attempts
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} Either { maxFeePerGas, maxPriorityFeePerGas, type } or { gasPrice }
+     */
+    async getFeeData(retryCount = 0, network = this.network) {
+        if (await this.supportsEip1559(network)) {
+            try {
+                const fees = await this.getEip1559Fees(retryCount, network);
+                return { ...fees, type: '0x2' };
+            } catch (error) {
+                this.logger.warn(`EIP-1559 fee calculation failed, falling back to legacy gas price: ${error.message}`);
+            }
+        }
+        
+        return { gasPrice: await this.getGasPrice(retryCount, network) };
+    }
+    
+    /**
+     * Get the highest price per gas a transaction may pay, for cost estimates
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Promise<string>} Price per gas in wei
+     */
+    async getMaxGasPrice(network = this.network) {
+        const feeData = await this.getFeeData(0, network);
+        return feeData.maxFeePerGas || feeData.gasPrice;
+    }
+    
     /**
      * Improved gas estimation with buffer
      * 
      * @param {Object} txObject - Transaction object
-     * @param {string} network - Network name ('fhenix' or 'sepolia')
+     * @param {string} network - Network profile name
      * @returns {Promise<number>} Estimated gas with buffer
      */
-    async estimateGas(txObject, network = 'fhenix') {
+    async estimateGas(txObject, network = this.network) {
         try {
-            const web3Instance = network === 'sepolia' ? this.sepoliaWeb3 : this.web3;
+            const web3Instance = this.getWeb3(network);
             
             // Get the gas estimate from the blockchain
             const estimatedGas = await web3Instance.eth.estimateGas(txObject);
@@ -206,22 +692,197 @@ class BlockchainManager {
     }
     
     /**
-     * Unified method to send a transaction
+     * Get retry settings from configuration
+     * 
+     * @returns {Object} Maximum retries and base wait time in milliseconds
+     */
+    getRetryConfig() {
+        const general = this.config.general || {};
+        const maxRetries = general.max_retries !== undefined ? Number(general.max_retries) : constants.RETRY.MAX_RETRIES;
+        const baseWaitTime = general.base_wait_time !== undefined ? Number(general.base_wait_time) : constants.RETRY.BASE_WAIT_TIME;
+        
+        return {
+            maxRetries,
+            baseWaitMs: baseWaitTime * 1000
+        };
+    }
+    
+    /**
+     * Get stuck transaction watchdog settings (general.stuck_transaction)
+     * 
+     * @returns {Object} Watchdog settings
+     */
+    getStuckTransactionConfig() {
+        const stuck = (this.config.general && this.config.general.stuck_transaction) || {};
+        
+        return {
+            timeoutMs: (stuck.timeout_seconds !== undefined ? Number(stuck.timeout_seconds) : constants.RETRY.STUCK_TIMEOUT_SECONDS) * 1000,
+            action: stuck.action === 'cancel' ? 'cancel' : 'speed_up',
+            maxReplacements: stuck.max_replacements !== undefined ? Number(stuck.max_replacements) : constants.RETRY.STUCK_MAX_REPLACEMENTS,
+            feeBumpPercent: Math.max(10, stuck.fee_bump_percent !== undefined ? Number(stuck.fee_bump_percent) : constants.RETRY.STUCK_FEE_BUMP_PERCENT)
+        };
+    }
+    
+    /**
+     * Raise the fee fields of a transaction by a percentage, as required to replace it in the mempool
+     * 
+     * @param {Object} tx - Transaction object
+     * @param {number} percent - Percentage to add
+     * @returns {Object} Fee fields
+     */
+    bumpFees(tx, percent) {
+        const bump = value => (BigInt(value) * BigInt(100 + percent) / BigInt(100)).toString();
+        
+        if (tx.maxFeePerGas !== undefined) {
+            return {
+                maxFeePerGas: bump(tx.maxFeePerGas),
+                maxPriorityFeePerGas: bump(tx.maxPriorityFeePerGas),
+                type: tx.type
+            };
+        }
+        
+        return { gasPrice: bump(tx.gasPrice) };
+    }
+    
+    /**
+     * Broadcast a signed transaction and wait for its receipt
+     * If it is still pending after the configured time, replace it with the same nonce:
+     * either the same transaction with a higher fee (speed-up) or a zero-value self-transfer (cancel)
+     * 
+     * @param {Object} tx - Transaction that was signed
+     * @param {Object} signedTx - Signed transaction
+     * @param {string} network - Network profile name
+     * @param {string} methodName - Method name for the journal
+     * @returns {Promise<Object>} { receipt, stuckOutcome } where stuckOutcome is null if the transaction never got stuck
+     */
+    async waitForReceipt(tx, signedTx, network = this.network, methodName = "transaction") {
+        const web3Instance = this.getWeb3(network);
+        const { timeoutMs, action, maxReplacements, feeBumpPercent } = this.getStuckTransactionConfig();
+        
+        // Every broadcast for this nonce; whichever is mined first settles the slot
+        const broadcasts = [];
+        const broadcast = (transaction, signed, kind) => {
+            const entry = { kind, tx: transaction, hash: signed.transactionHash, error: null };
+            entry.promise = Promise.resolve(web3Instance.eth.sendSignedTransaction(signed.rawTransaction, undefined, SEND_OPTIONS))
+                .then(receipt => ({ receipt, entry }))
+                .catch(error => {
+                    entry.error = error;
+                    return null;
+                });
+            broadcasts.push(entry);
+        };
+        
+        // Resolves with the first receipt, or null once every broadcast has failed
+        const firstReceipt = () => new Promise(resolve => {
+            let remaining = broadcasts.length;
+            broadcasts.forEach(entry => entry.promise.then(result => {
+                if (result) resolve(result);
+                else if (--remaining === 0) resolve(null);
+            }));
+        });
+        
+        broadcast(tx, signedTx, 'original');
+        let latestTx = tx;
+        
+        for (let replacements = 0; ; replacements++) {
+            let timer;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(() => resolve('timeout'), timeoutMs);
+            });
+            
+            const result = await Promise.race([firstReceipt(), timeout]);
+            clearTimeout(timer);
+            
+            if (result === null) {
+                // Prefer the original broadcast error, it explains why the slot failed
+                throw broadcasts[0].error || broadcasts[broadcasts.length - 1].error;
+            }
+            
+            if (result !== 'timeout') {
+                const { receipt, entry } = result;
+                if (replacements === 0) {
+                    return { receipt, stuckOutcome: null };
+                }
+                
+                const outcome = entry.kind === 'original' ? 'original_mined' : entry.kind === 'cancel' ? 'cancelled' : 'sped_up';
+                this.logger.info(`Stuck transaction with nonce ${tx.nonce} settled: ${outcome} (${receipt.transactionHash})`);
+                
+                for (const other of broadcasts.filter(candidate => candidate !== entry)) {
+                    await this.journalTransaction(methodName, { nonce: Number(tx.nonce), hash: other.hash, status: 'replaced' }, network);
+                }
+                
+                return {
+                    receipt,
+                    stuckOutcome: {
+                        nonce: Number(tx.nonce),
+                        action,
+                        replacements,
+                        originalHash: broadcasts[0].hash,
+                        finalHash: receipt.transactionHash,
+                        result: outcome
+                    }
+                };
+            }
+            
+            if (replacements >= maxReplacements) {
+                throw new TransactionError(`Transaction ${broadcasts[0].hash} still pending after ${replacements} replacement(s)`, {
+                    category: ERROR_CATEGORIES.RPC_TIMEOUT
+                });
+            }
+            
+            this.logger.warn(`Transaction ${broadcasts[broadcasts.length - 1].hash} still pending after ${timeoutMs / 1000}s, ${action === 'cancel' ? 'cancelling' : 'speeding up'} (nonce ${tx.nonce})`);
+            
+            // Replace with the same nonce and a bumped fee
+            const replacementTx = action === 'cancel'
+                ? {
+                    from: this.address,
+                    to: this.address,
+                    value: '0',
+                    data: '0x',
+                    nonce: tx.nonce,
+                    chainId: tx.chainId,
+                    gas: 21000,
+                    ...this.bumpFees(latestTx, feeBumpPercent)
+                }
+                : { ...latestTx, ...this.bumpFees(latestTx, feeBumpPercent) };
+            
+            this.chargeBudget(replacementTx, network);
+            const signedReplacement = await this.signTransaction(replacementTx, network);
+            await this.journalTransaction(methodName, {
+                nonce: Number(tx.nonce),
+                hash: signedReplacement.transactionHash,
+                status: 'pending',
+                replaces: broadcasts[0].hash
+            }, network);
+            broadcast(replacementTx, signedReplacement, action === 'cancel' ? 'cancel' : 'speed_up');
+            latestTx = replacementTx;
+        }
+    }
+    
+    /**
+     * Reserve a nonce, estimate gas and sign a transaction
+     * The nonce is released again if any step fails, since nothing was broadcast
      * 
      * @param {Object} txObject - Transaction object
-     * @param {string} methodName - Method name for logging
-     * @param {string} network - Network name ('fhenix' or 'sepolia')
-     * @returns {Promise<Object>} Transaction result
+     * @param {string} network - Network profile name
+     * @param {number} retryCount - Number of previous attempts, used to raise the gas price
+     * @param {number|null} reusedNonce - Nonce still reserved from a previous attempt, to replace it in the same slot
+     * @param {Object} options - { sign }; with sign false the transaction is only built and signedTx is null
+     * @returns {Promise<Object>} { nonce, tx, signedTx }
+     * @private
      */
-    async sendTransaction(txObject, methodName = "transaction", network = 'fhenix') {
+    async _prepareTransaction(txObject, network, retryCount = 0, reusedNonce = null, { sign = true } = {}) {
+        const chainId = this.getNetwork(network).chainId;
+        
+        // Never sign for a chain the RPC does not serve
+        await this.assertNetworkVerified(network);
+        
+        // Reserve a nonce
+        const nonce = reusedNonce !== null ? reusedNonce : await this.getNonce(network);
+        
         try {
-            const web3Instance = network === 'sepolia' ? this.sepoliaWeb3 : this.web3;
-            const chainId = network === 'sepolia' ? constants.SEPOLIA.CHAIN_ID : constants.NETWORK.CHAIN_ID;
-            const explorerUrl = network === 'sepolia' ? constants.SEPOLIA.EXPLORER_URL : constants.NETWORK.EXPLORER_URL;
-            
-            // Get nonce and gas price
-            const nonce = await this.getNonce(network);
-            const gasPrice = await this.getGasPrice(0, network);
+            // Get fees
+            const feeData = await this.getFeeData(retryCount, network);
             
             // Create transaction template for gas estimation
             const txTemplate = {
@@ -231,64 +892,1268 @@ class BlockchainManager {
                 chainId: chainId
             };
             
-            // Estimate gas
-            const gasLimit = await this.estimateGas(txTemplate, network);
+            // Estimate gas; calls to contracts prepared offline cannot be estimated as they do not exist yet
+            const gasLimit = this.isUndeployedContract(txTemplate.to, network)
+                ? getOfflineConfig(this.config).defaultGas
+                : await this.estimateGas(txTemplate, network);
             
             // Create final transaction object
             const tx = {
                 ...txTemplate,
                 gas: gasLimit,
-                gasPrice: gasPrice
+                ...feeData
             };
             
-            // Sign the transaction
-            const signedTx = await web3Instance.eth.accounts.signTransaction(tx, this.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce(network);
+            // Refuse it if the policy forbids it or it does not fit the wallet's budget
+            this.enforcePolicy(tx, network);
+            this.chargeBudget(tx, network);
             
-            // Send the transaction
-            const receipt = await web3Instance.eth.sendSignedTransaction(signedTx.rawTransaction);
-            
-            // Log success
-            this.logger.success(`${methodName} transaction successful`);
+            // Sign the transaction
+            const signedTx = sign ? await this.signTransaction(tx, network) : null;
             
-            return {
-                txHash: receipt.transactionHash,
-                receipt,
-                success: true
-            };
+            return { nonce, tx, signedTx };
         } catch (error) {
-            this.logger.error(`Error in ${methodName} transaction: ${error.message}`);
-            
-            return {
-                success: false,
-                error: error.message,
-                details: {
-                    message: error.message,
-                    code: error.code || 'unknown',
-                    data: error.data || 'no data',
-                    reason: error.reason || 'unknown reason'
-                }
-            };
+            // Nothing was broadcast, so the nonce can be handed out again
+            this.getNonceManager(network).release(nonce);
+            throw error;
         }
     }
     
     /**
-     * Get wallet balance
+     * Sign and broadcast a transaction once
+     * It is journalled as pending before it is broadcast, and again once its outcome is known
      * 
-     * @param {string} network - Network name ('fhenix' or 'sepolia')
-     * @returns {Promise<Object>} Balance information
+     * @param {Object} txObject - Transaction object
+     * @param {string} methodName - Method name for the journal
+     * @param {string} network - Network profile name
+     * @param {number} retryCount - Number of previous attempts, used to raise the gas price
+     * @param {number|null} reusedNonce - Nonce still reserved from a previous attempt, to replace it in the same slot
+     * @returns {Promise<Object>} Receipt and stuck transaction outcome (see waitForReceipt)
+     * @private
      */
-    async getBalance(network = 'fhenix') {
+    async _sendTransactionAttempt(txObject, methodName, network, retryCount, reusedNonce = null) {
+        const { nonce, tx, signedTx } = await this._prepareTransaction(txObject, network, retryCount, reusedNonce);
+        await this.journalTransaction(methodName, { nonce, hash: signedTx.transactionHash, status: 'pending' }, network);
+        
         try {
-            const web3Instance = network === 'sepolia' ? this.sepoliaWeb3 : this.web3;
-            const currency = network === 'sepolia' ? 'ETH' : constants.NETWORK.CURRENCY_SYMBOL;
+            // Send the transaction and watch for it getting stuck in the mempool
+            const result = await this.waitForReceipt(tx, signedTx, network, methodName);
             
-            const balance = await web3Instance.eth.getBalance(this.address);
-            const balanceInEth = web3Instance.utils.fromWei(balance, 'ether');
+            // Only count it once confirmed and successful
+            result.receipt = await this.finalizeReceipt(result.receipt, network);
+            this.getNonceManager(network).markBroadcast(nonce, result.receipt.transactionHash);
+            this.settleBudget(nonce, result.receipt, network);
             
-            this.logger.info(`${network.charAt(0).toUpperCase() + network.slice(1)} Balance: ${balanceInEth} ${currency}`);
+            const cancelled = result.stuckOutcome && result.stuckOutcome.result === 'cancelled';
+            await this.journalOutcome(methodName, nonce, { receipt: result.receipt, status: cancelled ? 'cancelled' : null }, network);
+            return result;
+        } catch (error) {
+            // A reverted transaction was mined and paid for its gas
+            if (error.receipt) {
+                this.settleBudget(nonce, error.receipt, network);
+            }
+            
+            await this.journalOutcome(methodName, nonce, { hash: signedTx.transactionHash, error }, network);
+            
+            // Keep the nonce reserved so a retry can rebroadcast in the same slot; sendTransaction settles it
+            error.nonce = nonce;
+            error.txHash = signedTx.transactionHash;
+            throw error;
+        }
+    }
+    
+    /**
+     * Sign and broadcast a transaction without waiting for it to be mined
+     * Resolves once the node accepted the transaction and throws if it was rejected
+     * 
+     * @param {Object} txObject - Transaction object
+     * @param {string} methodName - Method name for the journal
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} { nonce, txHash, receipt } where receipt resolves to { receipt } or { error }
+     * @private
+     */
+    async _broadcastTransaction(txObject, methodName, network) {
+        const web3Instance = this.getWeb3(network);
+        const { nonce, signedTx } = await this._prepareTransaction(txObject, network);
+        await this.journalTransaction(methodName, { nonce, hash: signedTx.transactionHash, status: 'pending' }, network);
+        
+        const promiEvent = web3Instance.eth.sendSignedTransaction(signedTx.rawTransaction, undefined, SEND_OPTIONS);
+        const receipt = promiEvent.then(result => ({ receipt: result }), error => {
+            error.nonce = nonce;
+            error.txHash = signedTx.transactionHash;
+            return { error };
+        });
+        
+        // Wait for the node to accept the transaction (hash returned) or reject it
+        const rejected = await new Promise(resolve => {
+            promiEvent.on('transactionHash', () => resolve(null));
+            receipt.then(outcome => resolve(outcome.error || null));
+        });
+        
+        if (rejected) {
+            // The node never accepted it, so the nonce is free unless the request timed out in flight
+            if (classifyError(rejected).category !== ERROR_CATEGORIES.RPC_TIMEOUT) {
+                this.getNonceManager(network).release(nonce);
+                delete rejected.nonce;
+                await this.journalTransaction(methodName, { nonce, hash: signedTx.transactionHash, status: 'rejected', error: rejected.message }, network);
+            }
+            throw rejected;
+        }
+        
+        return { nonce, txHash: signedTx.transactionHash, receipt };
+    }
+    
+    /**
+     * Settle the nonce of a transaction that failed after signing
+     * Nonces the node rejected are released; others may have been used and are kept
+     * 
+     * @param {Error} error - Error thrown by _sendTransactionAttempt or _broadcastTransaction
+     * @param {Object} classification - Result of classifyError()
+     * @param {string} network - Network profile name
+     */
+    settleFailedNonce(error, classification, network = this.network) {
+        if (error.nonce === undefined) return;
+        
+        const nonceManager = this.getNonceManager(network);
+        
+        // A reverted transaction with a receipt was mined and used its nonce
+        if (NONCE_UNUSED_CATEGORIES.includes(classification.category) && !error.receipt) {
+            nonceManager.release(error.nonce);
+        } else {
+            nonceManager.markBroadcast(error.nonce, error.txHash);
+        }
+    }
+    
+    /**
+     * Check whether a contract was deployed by this tool, or prepared or simulated in this run
+     * 
+     * @param {string} address - Contract address
+     * @param {string} network - Network profile name
+     * @returns {boolean} True for a contract of this tool
+     */
+    isDeployedContract(address, network = this.network) {
+        return deployedContracts.has(`${this.getNetwork(network).key}:${address.toLowerCase()}`)
+            || this.isUndeployedContract(address, network);
+    }
+    
+    /**
+     * Check a transaction against the policy rules (general.policy) before it is signed
+     * 
+     * @param {Object} tx - Transaction with chainId set
+     * @param {string} network - Network profile name
+     * @throws {TransactionError} policy_violation naming the rule that blocked the transaction
+     */
+    enforcePolicy(tx, network = this.network) {
+        const violation = evaluatePolicy(tx, getPolicyConfig(this.config), {
+            self: this.address,
+            isDeployedContract: address => this.isDeployedContract(address, network)
+        });
+        
+        if (violation) {
+            throw new TransactionError(`Blocked by policy rule ${violation.rule}: ${violation.message}`, {
+                category: ERROR_CATEGORIES.POLICY_VIOLATION
+            });
+        }
+    }
+    
+    /**
+     * Get a wallet's spending limits (general.budget, overridden per address by general.budget.wallets)
+     * Limits apply to one cycle on each network, in the network's currency; null means unlimited
+     * 
+     * @param {string} address - Wallet address
+     * @returns {Object} { maxGasCost, maxValue, maxFeePerTx } in wei, or null
+     */
+    getBudgetConfig(address = this.address) {
+        const budget = (this.config.general && this.config.general.budget) || {};
+        const wallets = budget.wallets || {};
+        const walletKey = Object.keys(wallets).find(key => address && key.toLowerCase() === address.toLowerCase());
+        const limits = { ...budget, ...(walletKey ? wallets[walletKey] : {}) };
+        
+        const toWei = value => (value === undefined || value === null ? null : BigInt(Web3.utils.toWei(Number(value), 'ether')));
+        
+        return {
+            maxGasCost: toWei(limits.max_gas_cost),
+            maxValue: toWei(limits.max_value),
+            maxFeePerTx: toWei(limits.max_fee_per_tx)
+        };
+    }
+    
+    /**
+     * Get (and create if needed) this wallet's budget usage on a network
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Object} { charges, exhausted }
+     * @private
+     */
+    _getBudgetUsage(network) {
+        const address = (this.address || '').toLowerCase();
+        const key = this.getNetwork(network).key;
+        
+        if (!budgetUsage.has(address)) {
+            budgetUsage.set(address, new Map());
+        }
+        
+        const byNetwork = budgetUsage.get(address);
+        if (!byNetwork.has(key)) {
+            byNetwork.set(key, { charges: new Map(), exhausted: null });
+        }
+        
+        return byNetwork.get(key);
+    }
+    
+    /**
+     * Sum the budget usage of a network
+     * 
+     * @param {Object} usage - Result of _getBudgetUsage()
+     * @returns {Object} { transactions, gasCost, value } with costs in wei
+     * @private
+     */
+    _sumBudgetUsage(usage) {
+        const charges = Array.from(usage.charges.values());
+        
+        return {
+            transactions: charges.length,
+            gasCost: charges.reduce((sum, charge) => sum + charge.gasCost, BigInt(0)),
+            value: charges.reduce((sum, charge) => sum + charge.value, BigInt(0))
+        };
+    }
+    
+    /**
+     * Check a transaction against the wallet's budget and count it, before it is signed
+     * It counts at its maximum cost (gas limit times max fee per gas) until settleBudget() replaces
+     * that with the actual cost; signing the same nonce again (retry, speed-up, cancellation)
+     * only counts any increase. A transaction that would go over max_gas_cost or max_value
+     * exhausts the budget, and the wallet sends nothing more this cycle.
+     * 
+     * @param {Object} tx - Transaction with nonce, gas and fees set
+     * @param {string} network - Network profile name
+     * @throws {TransactionError} budget_exceeded if the transaction does not fit
+     */
+    chargeBudget(tx, network = this.network) {
+        const { maxGasCost, maxValue, maxFeePerTx } = this.getBudgetConfig();
+        const { currency } = this.getNetwork(network);
+        const format = wei => `${Web3.utils.fromWei(wei, 'ether')} ${currency}`;
+        const refuse = message => new TransactionError(message, { category: ERROR_CATEGORIES.BUDGET_EXCEEDED });
+        
+        const usage = this._getBudgetUsage(network);
+        if (usage.exhausted) {
+            throw refuse(usage.exhausted);
+        }
+        
+        const gasCost = BigInt(tx.gas) * BigInt(tx.maxFeePerGas !== undefined ? tx.maxFeePerGas : tx.gasPrice);
+        const value = BigInt(tx.value || 0);
+        
+        if (maxFeePerTx !== null && gasCost > maxFeePerTx) {
+            throw refuse(`Transaction fee of up to ${format(gasCost)} exceeds max_fee_per_tx ${format(maxFeePerTx)}`);
+        }
+        
+        const nonce = Number(tx.nonce);
+        const previous = usage.charges.get(nonce) || { gasCost: BigInt(0), value: BigInt(0) };
+        const charge = {
+            gasCost: gasCost > previous.gasCost ? gasCost : previous.gasCost,
+            value: value > previous.value ? value : previous.value
+        };
+        
+        const used = this._sumBudgetUsage(usage);
+        
+        if (maxGasCost !== null && used.gasCost - previous.gasCost + charge.gasCost > maxGasCost) {
+            usage.exhausted = `Budget exhausted: max_gas_cost ${format(maxGasCost)} reached (${format(used.gasCost)} used)`;
+            throw refuse(usage.exhausted);
+        }
+        
+        if (maxValue !== null && used.value - previous.value + charge.value > maxValue) {
+            usage.exhausted = `Budget exhausted: max_value ${format(maxValue)} reached (${format(used.value)} sent)`;
+            throw refuse(usage.exhausted);
+        }
+        
+        usage.charges.set(nonce, charge);
+    }
+    
+    /**
+     * Replace a transaction's budget charge with its actual cost once it is mined
+     * Reverted transactions paid for their gas but sent no value
+     * 
+     * @param {number} nonce - Transaction nonce
+     * @param {Object} receipt - Transaction receipt
+     * @param {string} network - Network profile name
+     */
+    settleBudget(nonce, receipt, network = this.network) {
+        const usage = this._getBudgetUsage(network);
+        const charge = usage.charges.get(Number(nonce));
+        if (!charge || !receipt.gasUsed || !receipt.effectiveGasPrice) return;
+        
+        usage.charges.set(Number(nonce), {
+            gasCost: BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice),
+            value: this.isReceiptSuccessful(receipt) ? charge.value : BigInt(0)
+        });
+    }
+    
+    /**
+     * Check whether the wallet exhausted its budget on any network this cycle
+     * 
+     * @returns {boolean} True if exhausted
+     */
+    isBudgetExhausted() {
+        const byNetwork = budgetUsage.get((this.address || '').toLowerCase());
+        return Boolean(byNetwork) && Array.from(byNetwork.values()).some(usage => usage.exhausted);
+    }
+    
+    /**
+     * Forget the wallet's budget usage, at the start of its cycle
+     * 
+     * @param {string} address - Wallet address
+     */
+    resetBudgetUsage(address = this.address) {
+        budgetUsage.delete(address.toLowerCase());
+    }
+    
+    /**
+     * Log a wallet's budget usage in the current cycle, per network
+     * 
+     * @param {string} address - Wallet address
+     * @returns {Array} Usage as { network, transactions, gasCost, value, exhausted }
+     */
+    logBudgetSummary(address = this.address) {
+        const byNetwork = budgetUsage.get(address.toLowerCase());
+        
+        if (!byNetwork) {
+            this.logger.info(`${address}: no transactions sent`);
+            return [];
+        }
+        
+        const { maxGasCost, maxValue } = this.getBudgetConfig(address);
+        
+        return Array.from(byNetwork.entries()).map(([network, usage]) => {
+            const { name, currency } = this.getNetwork(network);
+            const used = this._sumBudgetUsage(usage);
+            const format = (wei, limit) => `${Web3.utils.fromWei(wei, 'ether')}${limit !== null ? `/${Web3.utils.fromWei(limit, 'ether')}` : ''} ${currency}`;
+            const exhausted = usage.exhausted ? ` - ${usage.exhausted}` : '';
+            
+            this.logger[usage.exhausted ? 'warn' : 'info'](`${address} on ${name}: ${used.transactions} transactions, gas ${format(used.gasCost, maxGasCost)}, value ${format(used.value, maxValue)}${exhausted}`);
+            
+            return { network, ...used, exhausted: usage.exhausted };
+        });
+    }
+    
+    /**
+     * Check whether cycles, operation checkpoints and completed operations are journalled (general.journal)
+     * Not in a dry run or offline, where operations do not send anything
+     * 
+     * @returns {boolean} True if enabled
+     */
+    isJournalEnabled() {
+        return getJournalConfig(this.config).enabled && !this.isDryRun() && !this.isOffline();
+    }
+    
+    /**
+     * Append an entry to a network's journal
+     * A journal that cannot be written is reported but does not stop the transaction
+     * 
+     * @param {Object} entry - Journal entry
+     * @param {string} network - Network profile name
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _appendJournal(entry, network) {
+        const { enabled, directory } = getJournalConfig(this.config);
+        if (!enabled) return;
+        
+        const profile = this.getNetwork(network);
+        
+        try {
+            await appendJournalEntry(getJournalFile(directory, profile.key), {
+                time: new Date().toISOString(),
+                cycle: journalCycle,
+                network: profile.key,
+                chainId: profile.chainId,
+                ...entry
+            });
+        } catch (error) {
+            this.logger.warn(`Could not write the ${profile.name} journal: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Journal a signed transaction: as pending before it is broadcast, then with its outcome
+     * 
+     * @param {string} methodName - Method name
+     * @param {Object} fields - { nonce, hash, status, gasUsed, ... }; wallet and operation default to this instance's
+     * @param {string} network - Network profile name
+     * @returns {Promise<void>}
+     */
+    async journalTransaction(methodName, fields, network = this.network) {
+        await this._appendJournal({
+            type: 'transaction',
+            wallet: this.address,
+            walletNum: this.walletNum,
+            operation: this.operationName,
+            method: methodName,
+            ...fields
+        }, network);
+    }
+    
+    /**
+     * Journal the outcome of a broadcast transaction
+     * Mined transactions are confirmed or reverted, transactions the node refused are rejected.
+     * Others (e.g. timed out) may still be mined, so they stay pending until reconcileJournal() settles them.
+     * 
+     * @param {string} methodName - Method name
+     * @param {number} nonce - Nonce of the transaction
+     * @param {Object} outcome - { hash, receipt, error, status, fields }; status overrides the one read from the receipt
+     * @param {string} network - Network profile name
+     * @returns {Promise<void>}
+     */
+    async journalOutcome(methodName, nonce, { hash = null, receipt = null, error = null, status = null, fields = {} }, network = this.network) {
+        const minedReceipt = receipt || (error && error.receipt);
+        
+        if (minedReceipt) {
+            await this.journalTransaction(methodName, {
+                ...fields,
+                nonce,
+                hash: minedReceipt.transactionHash,
+                status: status || (this.isReceiptSuccessful(minedReceipt) ? 'confirmed' : 'reverted'),
+                gasUsed: minedReceipt.gasUsed
+            }, network);
+        } else if (error && NONCE_UNUSED_CATEGORIES.includes(classifyError(error).category)) {
+            await this.journalTransaction(methodName, { ...fields, nonce, hash, status: 'rejected', error: error.message }, network);
+        }
+    }
+    
+    /**
+     * Journal the end of an operation for this wallet in the current cycle
+     * 
+     * @param {string} operation - Operation name
+     * @param {string} status - "completed" or "failed"
+     * @returns {Promise<void>}
+     */
+    async journalOperation(operation, status) {
+        if (!this.isJournalEnabled()) return;
+        
+        await this._appendJournal({
+            type: 'operation',
+            wallet: this.address,
+            walletNum: this.walletNum,
+            operation,
+            status
+        }, this.network);
+    }
+    
+    /**
+     * Get a wallet's operation checkpoint in the current cycle, saved before the process was restarted
+     * 
+     * @param {string} address - Wallet address
+     * @returns {Promise<Object|null>} { walletNum, order, operations, completedAt }, or null if the wallet has not started this cycle
+     */
+    async getWalletCheckpoint(address = this.address) {
+        if (!this.isJournalEnabled() || !journalCycle) return null;
+        
+        const checkpoints = await readCheckpoints(getJournalConfig(this.config).directory);
+        if (!checkpoints || checkpoints.cycle !== journalCycle) return null;
+        
+        return checkpoints.wallets[address.toLowerCase()] || null;
+    }
+    
+    /**
+     * Save a wallet's operation checkpoint in the current cycle
+     * Checkpoints of an earlier cycle are discarded
+     * 
+     * @param {Object} checkpoint - { walletNum, order, operations, completedAt }
+     * @param {string} address - Wallet address
+     * @returns {Promise<void>}
+     */
+    async saveWalletCheckpoint(checkpoint, address = this.address) {
+        if (!this.isJournalEnabled() || !journalCycle) return;
+        
+        const { directory } = getJournalConfig(this.config);
+        const saved = await readCheckpoints(directory);
+        const checkpoints = saved && saved.cycle === journalCycle ? saved : { cycle: journalCycle, wallets: {} };
+        
+        checkpoints.wallets[address.toLowerCase()] = checkpoint;
+        await writeCheckpoints(directory, checkpoints);
+    }
+    
+    /**
+     * Start a cycle, or resume the previous one if the process stopped before it completed
+     * 
+     * @returns {Promise<Object|null>} Cycle state { id, startedAt, completedAt, resumed }, or null if not journalled
+     */
+    async beginJournalCycle() {
+        if (!this.isJournalEnabled()) return null;
+        
+        const { directory } = getJournalConfig(this.config);
+        const previous = await readCycleState(directory);
+        
+        if (previous && !previous.completedAt) {
+            journalCycle = previous.id;
+            this.logger.warn(`Resuming cycle ${previous.id} from its checkpoints: finished wallets and operations are skipped`);
+            return { ...previous, resumed: true };
+        }
+        
+        const startedAt = new Date().toISOString();
+        const state = { id: startedAt, startedAt, completedAt: null };
+        
+        await writeCycleState(directory, state);
+        journalCycle = state.id;
+        this.logger.info(`Starting cycle ${state.id}`);
+        return { ...state, resumed: false };
+    }
+    
+    /**
+     * Mark the current cycle as completed, so the next start begins a new one
+     * 
+     * @returns {Promise<void>}
+     */
+    async completeJournalCycle() {
+        if (!this.isJournalEnabled() || !journalCycle) return;
+        
+        const { directory } = getJournalConfig(this.config);
+        const state = await readCycleState(directory);
+        
+        await writeCycleState(directory, { ...state, completedAt: new Date().toISOString() });
+    }
+    
+    /**
+     * Settle transactions that the journals still list as pending, e.g. because the process died while they were in flight
+     * Mined ones are recorded as confirmed or reverted, ones the node no longer knows as dropped;
+     * ones still in the mempool stay pending.
+     * 
+     * @returns {Promise<Object>} Counts { confirmed, reverted, dropped, pending }
+     */
+    async reconcileJournal() {
+        const counts = { confirmed: 0, reverted: 0, dropped: 0, pending: 0 };
+        const { enabled, directory } = getJournalConfig(this.config);
+        if (!enabled) return counts;
+        
+        for (const network of await listJournalNetworks(directory)) {
+            const pending = getPendingEntries(await readJournal(getJournalFile(directory, network)));
+            if (pending.length === 0) continue;
+            
+            const web3Instance = this.getWeb3(network);
+            this.logger.info(`Reconciling ${pending.length} pending transaction(s) from the ${this.getNetwork(network).name} journal...`);
+            
+            for (const entry of pending) {
+                const receipt = await web3Instance.eth.getTransactionReceipt(entry.hash).catch(() => null);
+                const { time, ...fields } = entry;
+                
+                if (receipt) {
+                    const status = this.isReceiptSuccessful(receipt) ? 'confirmed' : 'reverted';
+                    await this._appendJournal({ ...fields, status, gasUsed: receipt.gasUsed, reconciled: true }, network);
+                    counts[status]++;
+                } else if (await web3Instance.eth.getTransaction(entry.hash).catch(() => null)) {
+                    this.logger.warn(`${entry.method} (nonce ${entry.nonce}) from ${entry.wallet} is still pending: ${entry.hash}`);
+                    counts.pending++;
+                } else {
+                    await this._appendJournal({ ...fields, status: 'dropped', reconciled: true }, network);
+                    counts.dropped++;
+                }
+            }
+        }
+        
+        return counts;
+    }
+    
+    /**
+     * Check whether transactions are prepared and written to a file instead of being sent (general.offline)
+     * 
+     * @returns {boolean} True in offline mode
+     */
+    isOffline() {
+        return getOfflineConfig(this.config).enabled;
+    }
+    
+    /**
+     * Check whether transactions are simulated instead of sent (general.dry_run, set by --dry-run)
+     * 
+     * @returns {boolean} True in a dry run
+     */
+    isDryRun() {
+        return Boolean(this.config.general && this.config.general.dry_run);
+    }
+    
+    /**
+     * Check whether an address is a contract prepared offline or simulated in a dry run, so not deployed yet
+     * 
+     * @param {string} address - Contract address
+     * @param {string} network - Network profile name
+     * @returns {boolean} True for an undeployed contract
+     */
+    isUndeployedContract(address, network = this.network) {
+        return Boolean(address) && undeployedContracts.has(`${this.getNetwork(network).key}:${address.toLowerCase()}`);
+    }
+    
+    /**
+     * Build a transaction with nonce, gas, fees and chainId and write it to the offline file instead of sending it
+     * Nonces follow on from the network's pending nonce for the whole run, across operations,
+     * so each prepared transaction has its own nonce and a deployment reports the address it will have
+     * 
+     * @param {Object} txObject - Transaction object
+     * @param {string} methodName - Method name for logging
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} Result with prepared set, and a receipt holding only the hash and contract address
+     */
+    async prepareOfflineTransaction(txObject, methodName = "transaction", network = this.network) {
+        const { sign, file } = getOfflineConfig(this.config);
+        const profile = this.getNetwork(network);
+        const nonceKey = `${profile.chainId}:${this.address.toLowerCase()}`;
+        let prepared;
+        
+        try {
+            if (!preparedNonces.has(nonceKey)) {
+                preparedNonces.set(nonceKey, Number(await this.getWeb3(network).eth.getTransactionCount(this.address, 'pending')));
+            }
+            
+            prepared = await this._prepareTransaction(txObject, network, 0, preparedNonces.get(nonceKey), { sign });
+        } catch (error) {
+            return this.buildFailureResult(error, methodName);
+        }
+        
+        const { nonce, tx, signedTx } = prepared;
+        const txHash = signedTx ? signedTx.transactionHash : null;
+        const contractAddress = tx.to ? null : predictContractAddress(this.address, nonce);
+        
+        try {
+            await appendPreparedTransaction(file, {
+                preparedAt: new Date().toISOString(),
+                network: profile.key,
+                chainId: profile.chainId,
+                from: this.address,
+                operation: this.operationName,
+                methodName,
+                nonce,
+                transaction: tx,
+                rawTransaction: signedTx ? signedTx.rawTransaction : null,
+                transactionHash: txHash,
+                contractAddress
+            });
+        } catch (error) {
+            return this.buildFailureResult(error, methodName);
+        }
+        
+        preparedNonces.set(nonceKey, nonce + 1);
+        
+        if (contractAddress) {
+            undeployedContracts.add(`${profile.key}:${contractAddress.toLowerCase()}`);
+        }
+        
+        this.logger.success(`${methodName} transaction prepared (nonce ${nonce}, ${sign ? 'signed' : 'unsigned'}) and written to ${file}`);
+        
+        return {
+            txHash,
+            receipt: { transactionHash: txHash, contractAddress, status: null },
+            success: true,
+            prepared: true,
+            nonce
+        };
+    }
+    
+    /**
+     * Simulate a transaction against the current state without broadcasting it
+     * It is run with eth_call, so a revert is reported with its reason, and its gas is estimated with eth_estimateGas.
+     * Calls to contracts simulated earlier in the run use general.offline.default_gas, as they do not exist.
+     * The result looks like a mined transaction, with a synthetic hash and the address a deployment would get.
+     * 
+     * @param {Object} txObject - Transaction object
+     * @param {string} methodName - Method name for logging
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} Result with simulated set, gasEstimate and cost in wei
+     */
+    async simulateTransaction(txObject, methodName = "transaction", network = this.network) {
+        const web3Instance = this.getWeb3(network);
+        const profile = this.getNetwork(network);
+        const totals = this._getSimulationTotals(network);
+        
+        try {
+            await this.assertNetworkVerified(network);
+            
+            const nonceKey = `${profile.chainId}:${this.address.toLowerCase()}`;
+            if (!simulatedNonces.has(nonceKey)) {
+                simulatedNonces.set(nonceKey, Number(await web3Instance.eth.getTransactionCount(this.address, 'pending')));
+            }
+            const nonce = simulatedNonces.get(nonceKey);
+            
+            const feeData = await this.getFeeData(0, network);
+            const tx = { from: this.address, ...txObject };
+            let gas;
+            
+            this.enforcePolicy({ ...tx, chainId: profile.chainId }, network);
+            
+            if (this.isUndeployedContract(tx.to, network)) {
+                gas = BigInt(getOfflineConfig(this.config).defaultGas);
+            } else {
+                // Throws with the revert reason if the transaction would fail
+                await web3Instance.eth.call(tx);
+                gas = BigInt(await web3Instance.eth.estimateGas(tx));
+            }
+            
+            // Upper bound for EIP-1559 transactions, exact for legacy ones
+            const cost = gas * BigInt(feeData.maxFeePerGas !== undefined ? feeData.maxFeePerGas : feeData.gasPrice);
+            const txHash = Web3.utils.keccak256(Web3.utils.utf8ToHex(`dry-run:${nonceKey}:${nonce}`));
+            const contractAddress = tx.to ? null : predictContractAddress(this.address, nonce);
+            
+            simulatedNonces.set(nonceKey, nonce + 1);
+            if (contractAddress) {
+                undeployedContracts.add(`${profile.key}:${contractAddress.toLowerCase()}`);
+            }
+            
+            totals.transactions++;
+            totals.gas += gas;
+            totals.cost += cost;
+            
+            this.logger.success(`[dry run] ${methodName}: ${gas} gas, ~${web3Instance.utils.fromWei(cost, 'ether')} ${profile.currency}${contractAddress ? `, would deploy at ${contractAddress}` : ''}`);
+            
+            return {
+                txHash,
+                receipt: { transactionHash: txHash, contractAddress, status: BigInt(1), gasUsed: gas, blockNumber: null, logs: [] },
+                success: true,
+                simulated: true,
+                nonce,
+                gasEstimate: gas,
+                cost
+            };
+        } catch (error) {
+            totals.reverted++;
+            return this.buildFailureResult(error, `[dry run] ${methodName}`);
+        }
+    }
+    
+    /**
+     * Get the dry run totals of this wallet on a network
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Object} { transactions, reverted, gas, cost }
+     * @private
+     */
+    _getSimulationTotals(network) {
+        const address = this.address.toLowerCase();
+        const key = this.getNetwork(network).key;
+        
+        if (!simulationTotals.has(address)) {
+            simulationTotals.set(address, new Map());
+        }
+        
+        const byNetwork = simulationTotals.get(address);
+        if (!byNetwork.has(key)) {
+            byNetwork.set(key, { transactions: 0, reverted: 0, gas: BigInt(0), cost: BigInt(0) });
+        }
+        
+        return byNetwork.get(key);
+    }
+    
+    /**
+     * Log the estimated gas and cost of a wallet's simulated transactions, per network
+     * 
+     * @param {string} address - Wallet address
+     * @returns {Array} Totals as { network, transactions, reverted, gas, cost }
+     */
+    logSimulationSummary(address = this.address) {
+        const byNetwork = simulationTotals.get(address.toLowerCase());
+        
+        if (!byNetwork) {
+            this.logger.info(`${address}: no transactions simulated`);
+            return [];
+        }
+        
+        return Array.from(byNetwork.entries()).map(([network, totals]) => {
+            const { name, currency } = this.getNetwork(network);
+            const reverted = totals.reverted > 0 ? `, ${totals.reverted} would fail` : '';
+            
+            this.logger.info(`${address} on ${name}: ${totals.transactions} transactions${reverted}, ${totals.gas} gas, ~${Web3.utils.fromWei(totals.cost, 'ether')} ${currency}`);
+            return { network, ...totals };
+        });
+    }
+    
+    /**
+     * Broadcast a transaction prepared offline and wait for its confirmed receipt
+     * Unsigned transactions are signed now, which needs this manager's signer to be the sender.
+     * A transaction that was already broadcast (e.g. by an earlier run) reports its existing receipt.
+     * 
+     * @param {Object} record - Prepared transaction from the offline file
+     * @returns {Promise<Object>} Transaction result
+     */
+    async broadcastPreparedTransaction(record) {
+        const network = record.network;
+        const methodName = `${record.methodName} (nonce ${record.nonce})`;
+        
+        // Set once the transaction is journalled as pending
+        let journalFields = null;
+        
+        try {
+            const profile = this.getNetwork(network);
+            if (Number(record.chainId) !== profile.chainId) {
+                throw new Error(`Prepared for chain ID ${record.chainId}, but ${profile.name} is chain ID ${profile.chainId}`);
+            }
+            
+            await this.assertNetworkVerified(network);
+            
+            let { rawTransaction, transactionHash } = record;
+            
+            if (!rawTransaction) {
+                if (!this.signer || this.address.toLowerCase() !== record.from.toLowerCase()) {
+                    throw new Error(`Unsigned transaction from ${record.from} and no signer for that address`);
+                }
+                
+                ({ rawTransaction, transactionHash } = await this.signTransaction(record.transaction, network));
+            }
+            
+            const web3Instance = this.getWeb3(network);
+            let receipt;
+            
+            journalFields = { hash: transactionHash, wallet: record.from, operation: record.operation || null };
+            await this.journalTransaction(record.methodName, { ...journalFields, nonce: Number(record.nonce), status: 'pending' }, network);
+            
+            try {
+                receipt = await web3Instance.eth.sendSignedTransaction(rawTransaction, undefined, SEND_OPTIONS);
+            } catch (error) {
+                receipt = await web3Instance.eth.getTransactionReceipt(transactionHash).catch(() => null);
+                if (!receipt) throw error;
+                
+                this.logger.info(`${methodName} was already broadcast, using its receipt`);
+            }
+            
+            receipt = await this.finalizeReceipt(receipt, network);
+            await this.journalOutcome(record.methodName, Number(record.nonce), { receipt, fields: journalFields }, network);
+            this.logger.success(`${methodName} confirmed in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}: ${this.getExplorerUrl('tx', receipt.transactionHash, network)}`);
+            
+            return { txHash: receipt.transactionHash, receipt, success: true };
+        } catch (error) {
+            if (journalFields) {
+                await this.journalOutcome(record.methodName, Number(record.nonce), { hash: journalFields.hash, error, fields: journalFields }, network);
+            }
+            return this.buildFailureResult(error, methodName);
+        }
+    }
+    
+    /**
+     * Unified method to send a transaction
+     * Retryable failures are retried up to general.max_retries times with exponential backoff
+     * In a dry run the transaction is only simulated (see simulateTransaction), and in offline mode it is
+     * prepared and written to a file instead (see prepareOfflineTransaction)
+     * 
+     * @param {Object} txObject - Transaction object
+     * @param {string} methodName - Method name for logging
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} Transaction result
+     */
+    async sendTransaction(txObject, methodName = "transaction", network = this.network) {
+        // Once the budget is exhausted the wallet stops sending for the rest of the cycle
+        const { exhausted } = this._getBudgetUsage(network);
+        if (exhausted) {
+            this.logger.warn(`${methodName} not sent: ${exhausted}`);
+            return { success: false, skipped: true, error: exhausted, category: ERROR_CATEGORIES.BUDGET_EXCEEDED };
+        }
+        
+        if (this.isDryRun()) {
+            return await this.simulateTransaction(txObject, methodName, network);
+        }
+        
+        if (this.isOffline()) {
+            return await this.prepareOfflineTransaction(txObject, methodName, network);
+        }
+        
+        const { maxRetries, baseWaitMs } = this.getRetryConfig();
+        let lastError = null;
+        let reusedNonce = null;
+        
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            try {
+                if (attempt > 0) {
+                    this.logger.info(`${methodName} attempt ${attempt + 1}/${maxRetries + 1}...`);
+                }
+                
+                const { receipt, stuckOutcome } = await this._sendTransactionAttempt(txObject, methodName, network, attempt, reusedNonce);
+                
+                if (stuckOutcome) {
+                    this.stuckTransactions.push({ methodName, network, ...stuckOutcome });
+                }
+                
+                // A mined cancellation consumed the nonce, but the intended transaction never ran
+                if (stuckOutcome && stuckOutcome.result === 'cancelled') {
+                    const category = ERROR_CATEGORIES.TRANSACTION_DROPPED;
+                    this.failureStats[category] = (this.failureStats[category] || 0) + 1;
+                    this.logger.warn(`${methodName} transaction was stuck and has been cancelled`);
+                    
+                    return {
+                        txHash: receipt.transactionHash,
+                        receipt,
+                        success: false,
+                        cancelled: true,
+                        error: 'Transaction was stuck and has been cancelled',
+                        category
+                    };
+                }
+                
+                // Log success
+                this.logger.success(`${methodName} transaction successful`);
+                
+                return {
+                    txHash: receipt.transactionHash,
+                    receipt,
+                    success: true,
+                    stuckOutcome
+                };
+            } catch (error) {
+                lastError = error;
+                const classification = classifyError(error);
+                
+                if (!classification.retryable) {
+                    break;
+                }
+                
+                this.logger.warn(`${methodName} attempt ${attempt + 1}/${maxRetries + 1} failed (${classification.category}): ${error.message}`);
+                
+                if (attempt >= maxRetries) {
+                    break;
+                }
+                
+                // Resync if our nonce is stale, otherwise reuse it so the retry replaces the original
+                reusedNonce = null;
+                if (classification.category === ERROR_CATEGORIES.NONCE_TOO_LOW) {
+                    if (error.nonce !== undefined) {
+                        this.getNonceManager(network).release(error.nonce);
+                    }
+                    await this.getNonceManager(network).resync(this.getWeb3(network));
+                } else if (error.nonce !== undefined) {
+                    reusedNonce = error.nonce;
+                }
+                
+                const waited = await exponentialBackoff(baseWaitMs, attempt);
+                this.logger.info(`Waited ${(waited / 1000).toFixed(1)}s before retrying ${methodName}`);
+            }
+        }
+        
+        this.settleFailedNonce(lastError, classifyError(lastError), network);
+        return this.buildFailureResult(lastError, methodName);
+    }
+    
+    /**
+     * Count and log a failed transaction and build its result
+     * 
+     * @param {Error} error - Final error of the transaction
+     * @param {string} methodName - Method name for logging
+     * @returns {Object} Failed transaction result
+     */
+    buildFailureResult(error, methodName) {
+        const classification = classifyError(error);
+        this.failureStats[classification.category] = (this.failureStats[classification.category] || 0) + 1;
+        const reasonSuffix = classification.reason ? ` (reason: ${classification.reason})` : '';
+        this.logger.error(`Error in ${methodName} transaction [${classification.category}]: ${error.message}${reasonSuffix}`);
+        
+        return {
+            success: false,
+            error: error.message,
+            category: classification.category,
+            details: {
+                message: error.message,
+                code: classification.code !== undefined ? classification.code : 'unknown',
+                data: error.data || 'no data',
+                reason: classification.reason || 'unknown reason'
+            }
+        };
+    }
+    
+    /**
+     * Get confirmation settings for a network (confirmations from its profile)
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Object} Confirmation settings
+     */
+    getConfirmationConfig(network = this.network) {
+        const general = this.config.general || {};
+        
+        return {
+            blocks: Math.max(1, this.getNetwork(network).confirmations),
+            timeoutMs: (general.confirmation_timeout_seconds !== undefined
+                ? Number(general.confirmation_timeout_seconds)
+                : constants.CONFIRMATION.TIMEOUT_SECONDS) * 1000,
+            pollMs: constants.CONFIRMATION.POLL_INTERVAL_MS
+        };
+    }
+    
+    /**
+     * Check whether a receipt reports successful execution
+     * 
+     * @param {Object} receipt - Transaction receipt
+     * @returns {boolean} True if status is 1
+     */
+    isReceiptSuccessful(receipt) {
+        return receipt.status === undefined || BigInt(receipt.status) === BigInt(1);
+    }
+    
+    /**
+     * Wait until a mined transaction has the configured number of confirmations
+     * The receipt is fetched again on every poll, so a reorg that moves the transaction to another
+     * block restarts the count and a transaction that disappears is waited for until the timeout
+     * 
+     * @param {Object} receipt - First receipt of the transaction
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} Receipt from the canonical chain
+     */
+    async waitForConfirmations(receipt, network = this.network) {
+        const web3Instance = this.getWeb3(network);
+        const { blocks, timeoutMs, pollMs } = this.getConfirmationConfig(network);
+        const txHash = receipt.transactionHash;
+        let current = receipt;
+        let missingSince = null;
+        
+        if (blocks <= 1) return receipt;
+        
+        this.logger.info(`Waiting for ${blocks} confirmations of ${txHash}...`);
+        
+        while (true) {
+            const latest = Number(await web3Instance.eth.getBlockNumber());
+            const fresh = await web3Instance.eth.getTransactionReceipt(txHash);
+            
+            if (!fresh) {
+                // Reorged out: the transaction may be mined again from the mempool
+                if (missingSince === null) {
+                    missingSince = Date.now();
+                    this.logger.warn(`Transaction ${txHash} disappeared from block ${current.blockNumber} (reorg), waiting for it to be mined again...`);
+                } else if (Date.now() - missingSince > timeoutMs) {
+                    throw new TransactionError(`Transaction ${txHash} was removed by a reorg and not mined again within ${timeoutMs / 1000}s`, {
+                        category: ERROR_CATEGORIES.TRANSACTION_DROPPED
+                    });
+                }
+            } else {
+                if (missingSince !== null || fresh.blockHash !== current.blockHash) {
+                    this.logger.warn(`Transaction ${txHash} moved from block ${current.blockNumber} to ${fresh.blockNumber} (reorg), restarting confirmation count`);
+                }
+                missingSince = null;
+                current = fresh;
+                
+                const depth = latest - Number(current.blockNumber) + 1;
+                if (depth >= blocks) {
+                    this.logger.info(`Transaction ${txHash} has ${depth} confirmations`);
+                    return current;
+                }
+            }
+            
+            await wait(pollMs);
+        }
+    }
+    
+    /**
+     * Replay a reverted transaction with eth_call at the block it failed in to recover the revert reason
+     * 
+     * @param {Object} receipt - Receipt with status 0
+     * @param {string} network - Network profile name
+     * @returns {Promise<string|null>} Revert reason, or null if it could not be recovered
+     */
+    async replayRevertReason(receipt, network = this.network) {
+        const web3Instance = this.getWeb3(network);
+        
+        try {
+            const tx = await web3Instance.eth.getTransaction(receipt.transactionHash);
+            
+            await web3Instance.eth.call({
+                from: tx.from,
+                to: tx.to || undefined,
+                data: tx.input || tx.data,
+                value: tx.value,
+                gas: tx.gas
+            }, receipt.blockNumber);
+            
+            // The call succeeded, so the revert depended on state within the block
+            return null;
+        } catch (error) {
+            return classifyError(error).reason;
+        }
+    }
+    
+    /**
+     * Confirm a receipt and check its status
+     * 
+     * @param {Object} receipt - Transaction receipt
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} Confirmed successful receipt
+     * @throws {TransactionError} If the transaction reverted or was dropped by a reorg
+     */
+    async finalizeReceipt(receipt, network = this.network) {
+        const confirmed = await this.waitForConfirmations(receipt, network);
+        
+        if (confirmed.contractAddress && this.isReceiptSuccessful(confirmed)) {
+            deployedContracts.add(`${this.getNetwork(network).key}:${confirmed.contractAddress.toLowerCase()}`);
+        }
+        
+        if (!this.isReceiptSuccessful(confirmed)) {
+            const reason = await this.replayRevertReason(confirmed, network);
+            const error = new TransactionError(`Transaction ${confirmed.transactionHash} reverted in block ${confirmed.blockNumber}${reason ? `: ${reason}` : ''}`, {
+                category: ERROR_CATEGORIES.EXECUTION_REVERTED,
+                reason
+            });
+            error.receipt = confirmed;
+            throw error;
+        }
+        
+        return confirmed;
+    }
+    
+    /**
+     * Get pipelined sending settings (general.pipeline)
+     * 
+     * @returns {Object} Pipeline settings
+     */
+    getPipelineConfig() {
+        const pipeline = (this.config.general && this.config.general.pipeline) || {};
+        
+        return {
+            maxInFlight: Math.max(1, pipeline.max_in_flight !== undefined ? Number(pipeline.max_in_flight) : constants.PIPELINE.MAX_IN_FLIGHT)
+        };
+    }
+    
+    /**
+     * Send several transactions with consecutive nonces without waiting for each receipt
+     * Up to general.pipeline.max_in_flight transactions are signed and broadcast in order,
+     * then their receipts are collected concurrently. A transaction rejected before it reached
+     * the mempool hands its nonce to the next one, so the sequence stays gap-free.
+     * If a transaction disappears and leaves a nonce gap, the remaining transactions are not sent.
+     * In a dry run or offline mode they are simulated or prepared one after another instead.
+     * 
+     * @param {Array} transactions - Array of { txObject, methodName }
+     * @param {string} network - Network profile name
+     * @returns {Promise<Array>} Results in input order, shaped like sendTransaction results
+     */
+    async sendTransactionPipeline(transactions, network = this.network) {
+        // Simulated or offline there is nothing to wait for, so handle them one after another
+        if (this.isDryRun() || this.isOffline()) {
+            const results = [];
+            
+            for (const { txObject, methodName } of transactions) {
+                results.push(await this.sendTransaction(txObject, methodName, network));
+            }
+            
+            return results;
+        }
+        
+        const { maxInFlight } = this.getPipelineConfig();
+        const nonceManager = this.getNonceManager(network);
+        const results = [];
+        
+        this.logger.info(`Pipelining ${transactions.length} transactions (up to ${maxInFlight} in flight)...`);
+        
+        for (let start = 0; start < transactions.length; start += maxInFlight) {
+            const chunk = transactions.slice(start, start + maxInFlight);
+            const inFlight = [];
+            
+            // Sign and broadcast in order
+            for (const { txObject, methodName } of chunk) {
+                try {
+                    const sent = await this._broadcastTransaction(txObject, methodName, network);
+                    this.logger.info(`${methodName} broadcast with nonce ${sent.nonce}: ${sent.txHash}`);
+                    inFlight.push({ methodName, ...sent });
+                } catch (error) {
+                    // Settle a timed out broadcast right away; rejected nonces were already released for the next transaction
+                    this.settleFailedNonce(error, classifyError(error), network);
+                    inFlight.push({ methodName, receipt: Promise.resolve({ error }) });
+                }
+            }
+            
+            // Collect, confirm and journal receipts concurrently, then report in order
+            const outcomes = await Promise.all(inFlight.map(entry => entry.receipt.then(outcome => {
+                if (!outcome.receipt) return outcome;
+                
+                return this.finalizeReceipt(outcome.receipt, network).then(receipt => ({ receipt }), error => {
+                    error.nonce = entry.nonce;
+                    error.txHash = entry.txHash;
+                    return { error };
+                });
+            }).then(async outcome => {
+                // Broadcasts that failed early were journalled when they were rejected
+                if (entry.nonce !== undefined) {
+                    await this.journalOutcome(entry.methodName, entry.nonce, { hash: entry.txHash, ...outcome }, network);
+                }
+                return outcome;
+            })));
+            let unsettled = false;
+            
+            outcomes.forEach((outcome, i) => {
+                const entry = inFlight[i];
+                
+                if (outcome.receipt) {
+                    nonceManager.markBroadcast(entry.nonce, entry.txHash);
+                    this.settleBudget(entry.nonce, outcome.receipt, network);
+                    this.logger.success(`${entry.methodName} transaction successful (nonce ${entry.nonce})`);
+                    results.push({ txHash: outcome.receipt.transactionHash, receipt: outcome.receipt, success: true });
+                } else {
+                    // Broadcasts that failed early were settled already and their nonce may be reused
+                    if (entry.nonce !== undefined) {
+                        this.settleFailedNonce(outcome.error, classifyError(outcome.error), network);
+                    }
+                    
+                    if (outcome.error.receipt) {
+                        this.settleBudget(entry.nonce, outcome.error.receipt, network);
+                    }
+                    
+                    const result = this.buildFailureResult(outcome.error, entry.methodName);
+                    const broadcast = outcome.error.nonce !== undefined && !NONCE_UNUSED_CATEGORIES.includes(result.category);
+                    unsettled = unsettled || (broadcast && !outcome.error.receipt);
+                    results.push(result);
+                }
+            });
+            
+            // A transaction that never got mined blocks every later nonce
+            const remaining = transactions.length - results.length;
+            if (unsettled && remaining > 0) {
+                const gaps = await this.checkNonceGaps(network);
+                
+                if (gaps.length > 0) {
+                    this.logger.warn(`Skipping ${remaining} pipelined transaction(s) because of the nonce gap at ${gaps[0].nonce}`);
+                    transactions.slice(results.length).forEach(() => {
+                        results.push({
+                            success: false,
+                            skipped: true,
+                            error: `Not sent: nonce gap at ${gaps[0].nonce}`,
+                            category: ERROR_CATEGORIES.TRANSACTION_DROPPED
+                        });
+                    });
+                    break;
+                }
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Get failed transaction counts by error category
+     * 
+     * @returns {Object} Map of category to failure count
+     */
+    getFailureStats() {
+        return { ...this.failureStats };
+    }
+    
+    /**
+     * Reset failed transaction counts and stuck transaction outcomes
+     */
+    resetFailureStats() {
+        this.failureStats = {};
+        this.stuckTransactions = [];
+    }
+    
+    /**
+     * Get outcomes of transactions that were stuck and replaced
+     * 
+     * @returns {Array} Stuck transaction outcomes
+     */
+    getStuckTransactions() {
+        return [...this.stuckTransactions];
+    }
+    
+    /**
+     * Get wallet balance
+     * 
+     * @param {string} network - Network profile name
+     * @returns {Promise<Object>} Balance information
+     */
+    async getBalance(network = this.network) {
+        try {
+            const web3Instance = this.getWeb3(network);
+            const { name, currency } = this.getNetwork(network);
+            
+            const balance = await web3Instance.eth.getBalance(this.address);
+            const balanceInEth = web3Instance.utils.fromWei(balance, 'ether');
+            
+            this.logger.info(`${name} Balance: ${balanceInEth} ${currency}`);
             
             return { 
                 balance, 
@@ -300,23 +2165,23 @@ class BlockchainManager {
             return {
                 balance: '0',
                 balanceInEth: '0',
-                currency: network === 'sepolia' ? 'ETH' : constants.NETWORK.CURRENCY_SYMBOL,
+                currency: this.getNetwork(network).currency,
                 error: error.message
             };
         }
     }
     
     /**
-     * Reset nonce tracking (useful at the start of a new operation sequence)
+     * Reset nonce tracking, as a recovery path after transactions were sent outside this process
+     * Operations do not call it: the pending nonce is read once and failed sends resync on their own.
+     * The next transaction reads the pending nonce from the network again.
+     * Ignored in offline mode, where the network's pending nonce does not include the prepared transactions.
      * 
-     * @param {string} network - Network name ('fhenix' or 'sepolia')
+     * @param {string} network - Network profile name
      */
-    resetNonce(network = 'fhenix') {
-        if (network === 'sepolia') {
-            this.sepoliaNonce = null;
-        } else {
-            this.currentNonce = null;
-        }
+    resetNonce(network = this.network) {
+        if (!this.address || this.isOffline()) return;
+        this.getNonceManager(network).reset();
     }
 }
 
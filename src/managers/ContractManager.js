@@ -1,8 +1,16 @@
 // src/managers/ContractManager.js
-const solc = require('solc');
+const fs = require('fs').promises;
+const path = require('path');
+const _ = require('lodash');
 const logger = require('../utils/logger');
-const constants = require('../utils/constants');
 const { addRandomDelay } = require('../utils/delay');
+const { TransactionError, classifyError } = require('../utils/errorClassifier');
+const { getCompilationCacheConfig, getCompilationKey, readCachedArtifact, writeCachedArtifact } = require('../utils/compilationCache');
+const { getSourceConfig, createImportCallback, importsUnchanged } = require('../utils/solidityImports');
+const { getCompilerOptions, buildSolcSettings, getSolcConfig, loadCompiler } = require('../utils/compilerSettings');
+
+// Compilations by key, shared by all wallets (promises, so concurrent compiles of the same contract share one run)
+const compilations = new Map();
 
 /**
  * Manages contract compilation, deployment, and interaction
@@ -46,68 +54,264 @@ class ContractManager {
     }
     
     /**
-     * Compile a Solidity contract
+     * Compile a Solidity contract from source code
      * 
      * @param {string} contractName - Contract name
      * @param {string} contractSource - Solidity source code
      * @param {string|null} solFileName - Optional file name
+     * @param {Object} options - { cache }; pass cache false for generated sources that are compiled only once
+     * @returns {Promise<Object>} Compiled contract
+     */
+    async compileContract(contractName, contractSource, solFileName = null, options = {}) {
+        // Use provided file name or default based on contract name
+        const fileName = solFileName || `${contractName}.sol`;
+        
+        return await this.compileSources(contractName, fileName, {
+            [fileName]: {
+                content: contractSource
+            }
+        }, options);
+    }
+    
+    /**
+     * Compile a contract from a file in the contracts directory (general.compiler.contracts_directory)
+     * 
+     * @param {string} file - File relative to the contracts directory, e.g. "token/MyToken.sol"
+     * @param {string|null} contractName - Contract to extract; defaults to the file name without ".sol"
      * @returns {Promise<Object>} Compiled contract
      */
-    async compileContract(contractName, contractSource, solFileName = null) {
+    async compileContractFile(file, contractName = null) {
+        const name = contractName || path.basename(file, '.sol');
+        const { contractsDirectory } = getSourceConfig(this.config);
+        
+        // Source unit names always use forward slashes, so relative imports resolve the same on every platform
+        const sourceUnit = file.split(path.sep).join('/');
+        let content;
+        
         try {
-            this.logger.info(`Compiling ${contractName} contract...`);
-            
-            // Use provided file name or default based on contract name
-            const fileName = solFileName || `${contractName}.sol`;
-            
-            // Setup compiler input with specific EVM version
-            const input = {
-                language: 'Solidity',
-                sources: {
-                    [fileName]: {
-                        content: contractSource
-                    }
-                },
-                settings: {
-                    outputSelection: {
-                        '*': {
-                            '*': ['abi', 'evm.bytecode']
-                        }
-                    },
-                    optimizer: {
-                        enabled: true,
-                        runs: 200
-                    },
-                    evmVersion: 'paris' // Use paris EVM version (before Shanghai which introduced PUSH0)
-                }
-            };
+            content = await fs.readFile(path.join(contractsDirectory, file), 'utf8');
+        } catch (error) {
+            this.logger.error(`Failed to compile ${name} contract: ${error.message}`);
+            throw error;
+        }
+        
+        return await this.compileSources(name, sourceUnit, {
+            [sourceUnit]: {
+                content
+            }
+        });
+    }
+    
+    /**
+     * Compile the contract an operation deploys
+     * operations.<operation>.contract ({ file, name }) replaces the built-in source with a file from the contracts
+     * directory; the contract needs a constructor without arguments and the functions the operation calls
+     * 
+     * @param {string} operationName - Operation name, e.g. "contract_deploy"
+     * @param {string} contractName - Built-in contract name
+     * @param {string} contractSource - Built-in Solidity source
+     * @param {string|null} solFileName - Built-in source file name
+     * @returns {Promise<Object>} Compiled contract
+     */
+    async compileOperationContract(operationName, contractName, contractSource, solFileName = null) {
+        const operation = (this.config.operations && this.config.operations[operationName]) || {};
+        
+        if (operation.contract && operation.contract.file) {
+            return await this.compileContractFile(operation.contract.file, operation.contract.name || null);
+        }
+        
+        return await this.compileContract(contractName, contractSource, solFileName);
+    }
+    
+    /**
+     * Get the compiler options of a contract on the network it is deployed to (see getCompilerOptions)
+     * 
+     * @param {string} contractName - Contract name
+     * @returns {Object} { version, optimizer, optimizerRuns, evmVersion, viaIR, metadataHash }
+     */
+    getCompilerOptions(contractName) {
+        return getCompilerOptions(this.config, this.blockchain.getNetwork(), contractName);
+    }
+    
+    /**
+     * Get the solc settings a contract is compiled with
+     * 
+     * @param {string} contractName - Contract name
+     * @returns {Object} Settings of the solc standard JSON input
+     */
+    getCompilerSettings(contractName) {
+        return buildSolcSettings(this.getCompilerOptions(contractName), getSourceConfig(this.config).remappings);
+    }
+    
+    /**
+     * Compile a contract from solc sources
+     * Imports are loaded from the contracts directory, then general.compiler.include_paths (e.g. node_modules
+     * for OpenZeppelin-style paths), after general.compiler.remappings are applied.
+     * The solc release and settings come from general.compiler, the network profile and the contract's own entry.
+     * Results are cached in memory and on disk (general.compilation_cache), keyed by the source, contract name,
+     * solc version and settings, so every wallet and later runs reuse the first compilation.
+     * A cached result is only used while the files it imported are unchanged.
+     * Sources generated for a single deployment skip the cache, so they do not pile up in memory and on disk.
+     * 
+     * @param {string} contractName - Contract name
+     * @param {string} fileName - Source unit holding the contract
+     * @param {Object} sources - Sources of the solc standard JSON input ({ [fileName]: { content } })
+     * @param {Object} options - { cache }; with cache false the contract is always compiled and never stored
+     * @returns {Promise<Object>} Compiled contract
+     */
+    async compileSources(contractName, fileName, sources, { cache: useCache = true } = {}) {
+        const input = {
+            language: 'Solidity',
+            sources,
+            settings: this.getCompilerSettings(contractName)
+        };
+        
+        const cache = getCompilationCacheConfig(this.config);
+        
+        try {
+            const compiler = await loadCompiler(this.getCompilerOptions(contractName).version, getSolcConfig(this.config));
             
-            // Compile the contract
-            const output = JSON.parse(solc.compile(JSON.stringify(input)));
+            if (!cache.enabled || !useCache) {
+                const { abi, bytecode } = await this._compile(compiler, contractName, fileName, input);
+                return { abi, bytecode };
+            }
             
-            // Check for errors
-            if (output.errors) {
-                const errors = output.errors.filter(error => error.severity === 'error');
-                if (errors.length > 0) {
-                    throw new Error(`Compilation errors: ${errors.map(e => e.message).join(', ')}`);
+            const key = getCompilationKey({ sources: input.sources, contractName, solcVersion: compiler.version(), settings: input.settings });
+            
+            // The key only covers the sources passed in, so a result whose imports changed since is compiled again
+            if (compilations.has(key)) {
+                const entry = compilations.get(key);
+                const { imports } = await entry;
+                
+                if (!importsUnchanged(imports, getSourceConfig(this.config)) && compilations.get(key) === entry) {
+                    this.logger.info(`Imports of ${contractName} changed, compiling it again`);
+                    compilations.delete(key);
                 }
             }
             
-            // Extract the contract
-            const contract = output.contracts[fileName][contractName];
-            
-            this.logger.success(`${contractName} contract compiled successfully!`);
+            if (!compilations.has(key)) {
+                const compilation = this._compileCached(compiler, contractName, fileName, input, key, cache.directory);
+                
+                // Do not keep failures, so the next call compiles again
+                compilation.catch(() => compilations.delete(key));
+                compilations.set(key, compilation);
+            }
             
-            return {
-                abi: contract.abi,
-                bytecode: contract.evm.bytecode.object
-            };
+            // Callers get their own copy, so one wallet cannot change another's ABI
+            const { abi, bytecode } = await compilations.get(key);
+            return _.cloneDeep({ abi, bytecode });
         } catch (error) {
             this.logger.error(`Failed to compile ${contractName} contract: ${error.message}`);
             throw error;
         }
     }
     
+    /**
+     * Load a contract from the on-disk compilation cache, or compile it and store the result there
+     * 
+     * @param {Object} compiler - solc wrapper (see loadCompiler)
+     * @param {string} contractName - Contract name
+     * @param {string} fileName - Source unit holding the contract
+     * @param {Object} input - solc standard JSON input
+     * @param {string} key - Compilation key
+     * @param {string} directory - Cache directory
+     * @returns {Promise<Object>} Compiled contract with the imports it was built from
+     * @private
+     */
+    async _compileCached(compiler, contractName, fileName, input, key, directory) {
+        const cached = await readCachedArtifact(directory, key);
+        if (cached && importsUnchanged(cached.imports, getSourceConfig(this.config))) {
+            this.logger.info(`${contractName} contract loaded from the compilation cache`);
+            return cached;
+        }
+        
+        const compiled = await this._compile(compiler, contractName, fileName, input);
+        
+        try {
+            await writeCachedArtifact(directory, key, { contractName, solcVersion: compiler.version(), ...compiled });
+        } catch (error) {
+            this.logger.warn(`Could not write ${contractName} to the compilation cache: ${error.message}`);
+        }
+        
+        return compiled;
+    }
+    
+    /**
+     * Run solc on a standard JSON input and extract one contract
+     * 
+     * @param {Object} compiler - solc wrapper (see loadCompiler)
+     * @param {string} contractName - Contract name
+     * @param {string} fileName - Source unit holding the contract
+     * @param {Object} input - solc standard JSON input
+     * @returns {Promise<Object>} { abi, bytecode, imports } where imports maps each imported source unit to its content hash
+     * @throws {Error} On compilation errors, including imports that cannot be found
+     * @private
+     */
+    async _compile(compiler, contractName, fileName, input) {
+        this.logger.info(`Compiling ${contractName} contract...`);
+        
+        // Compile the contract, loading imports from disk
+        const imports = {};
+        const importCallback = createImportCallback(getSourceConfig(this.config), imports);
+        const output = JSON.parse(compiler.compile(JSON.stringify(input), { import: importCallback }));
+        
+        // Check for errors
+        if (output.errors) {
+            const errors = output.errors.filter(error => error.severity === 'error');
+            if (errors.length > 0) {
+                throw new Error(`Compilation errors: ${errors.map(e => e.message).join(', ')}`);
+            }
+        }
+        
+        // Extract the contract
+        const contract = output.contracts[fileName] && output.contracts[fileName][contractName];
+        if (!contract) {
+            throw new Error(`Contract ${contractName} not found in ${fileName}`);
+        }
+        
+        this.logger.success(`${contractName} contract compiled successfully!`);
+        
+        return {
+            abi: contract.abi,
+            bytecode: contract.evm.bytecode.object,
+            imports
+        };
+    }
+    
+    /**
+     * Encode deployment data (bytecode and constructor arguments) for a compiled contract
+     * 
+     * @param {Object} compiledContract - Compiled contract object
+     * @param {Array} constructorArgs - Constructor arguments
+     * @returns {string} Hex encoded deployment data
+     */
+    encodeDeployment(compiledContract, constructorArgs = []) {
+        // Create contract instance for deployment
+        const contract = new this.blockchain.web3.eth.Contract(compiledContract.abi);
+        
+        // Prepare deployment transaction
+        const deployTx = contract.deploy({
+            data: '0x' + compiledContract.bytecode,
+            arguments: constructorArgs
+        });
+        
+        return deployTx.encodeABI();
+    }
+    
+    /**
+     * Estimate the gas of deploying a compiled contract from this wallet
+     * 
+     * @param {Object} compiledContract - Compiled contract object
+     * @param {Array} constructorArgs - Constructor arguments
+     * @returns {Promise<number>} Estimated gas with buffer
+     */
+    async estimateDeploymentGas(compiledContract, constructorArgs = []) {
+        return await this.blockchain.estimateGas({
+            from: this.blockchain.address,
+            data: this.encodeDeployment(compiledContract, constructorArgs)
+        });
+    }
+    
     /**
      * Deploy a compiled contract
      * 
@@ -123,30 +327,30 @@ class ContractManager {
             // Add random delay before deployment
             await this.addDelay(`${methodName} contract deployment`);
             
-            // Create contract instance for deployment
-            const contract = new this.blockchain.web3.eth.Contract(compiledContract.abi);
-            
-            // Prepare deployment transaction
-            const deployTx = contract.deploy({
-                data: '0x' + compiledContract.bytecode,
-                arguments: constructorArgs
-            });
-            
             // Create transaction object for deployment
             const txObject = {
-                data: deployTx.encodeABI()
+                data: this.encodeDeployment(compiledContract, constructorArgs)
             };
             
             // Use the blockchain manager to send the transaction
             const result = await this.blockchain.sendTransaction(txObject, `${methodName} deployment`);
             
             if (!result.success) {
-                throw new Error(result.error);
+                throw new TransactionError(result.error, {
+                    category: result.category,
+                    reason: result.details && result.details.reason
+                });
             }
             
             // Log only once with specific contract info
-            this.logger.success(`${methodName} contract deployed at: ${result.receipt.contractAddress}`);
-            this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+            if (result.simulated) {
+                this.logger.success(`${methodName} contract simulated, it would be deployed at: ${result.receipt.contractAddress}`);
+            } else if (result.prepared) {
+                this.logger.success(`${methodName} contract prepared, it will be deployed at: ${result.receipt.contractAddress}`);
+            } else {
+                this.logger.success(`${methodName} contract deployed at: ${result.receipt.contractAddress}`);
+                this.logger.success(`View transaction: ${this.blockchain.getExplorerUrl('tx', result.txHash)}`);
+            }
             
             return {
                 contractAddress: result.receipt.contractAddress,
@@ -192,8 +396,8 @@ class ContractManager {
             const result = await this.blockchain.sendTransaction(txObject, simplifiedMethodName);
             
             // Only log the transaction URL here if successful
-            if (result.success) {
-                this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+            if (result.success && !result.simulated && !result.prepared) {
+                this.logger.success(`View transaction: ${this.blockchain.getExplorerUrl('tx', result.txHash)}`);
             }
             
             return result;
@@ -201,11 +405,59 @@ class ContractManager {
             this.logger.error(`Error calling ${methodName}: ${error.message}`);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                category: classifyError(error).category
             };
         }
     }
     
+    /**
+     * Call several contract methods with pipelined sending
+     * All transactions are signed and broadcast with consecutive nonces before any receipt is awaited
+     * 
+     * @param {string} contractAddress - Contract address
+     * @param {Array} abi - Contract ABI
+     * @param {Array} calls - Array of { methodName, methodArgs, value }
+     * @returns {Promise<Array>} Transaction results in call order
+     */
+    async callContractMethods(contractAddress, abi, calls) {
+        try {
+            // Add a single random delay before the whole pipeline
+            await this.addDelay(`${calls.length} pipelined contract calls`);
+            
+            // Create contract instance
+            const contract = new this.blockchain.web3.eth.Contract(abi, contractAddress);
+            
+            // Prepare all transaction objects up front
+            const transactions = calls.map(({ methodName, methodArgs = [], value = '0' }) => ({
+                methodName,
+                txObject: {
+                    to: contractAddress,
+                    data: contract.methods[methodName](...methodArgs).encodeABI(),
+                    value
+                }
+            }));
+            
+            const results = await this.blockchain.sendTransactionPipeline(transactions);
+            
+            results.forEach(result => {
+                if (result.success && !result.simulated && !result.prepared) {
+                    this.logger.success(`View transaction: ${this.blockchain.getExplorerUrl('tx', result.txHash)}`);
+                }
+            });
+            
+            return results;
+        } catch (error) {
+            this.logger.error(`Error in pipelined contract calls: ${error.message}`);
+            const category = classifyError(error).category;
+            return calls.map(() => ({
+                success: false,
+                error: error.message,
+                category
+            }));
+        }
+    }
+    
     /**
      * Call a read-only (view) method on a contract
      * 
@@ -216,6 +468,16 @@ class ContractManager {
      * @returns {Promise<Object>} View method result
      */
     async callViewMethod(contractAddress, abi, methodName, methodArgs = []) {
+        // A contract simulated or prepared offline has no code to call yet
+        if (this.blockchain.isUndeployedContract(contractAddress)) {
+            this.logger.info(`Skipping view method ${methodName}: contract is not deployed yet`);
+            return {
+                success: false,
+                skipped: true,
+                error: 'Contract is not deployed yet'
+            };
+        }
+        
         try {
             // Create contract instance
             const contract = new this.blockchain.web3.eth.Contract(abi, contractAddress);
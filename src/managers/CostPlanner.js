@@ -0,0 +1,189 @@
+// src/managers/CostPlanner.js
+const BlockchainManager = require('./BlockchainManager');
+const constants = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Estimates what a wallet's cycle will spend before it starts, and trims it to the balance
+ * Every operation reports its planned transactions (BaseOperation.estimateCycle); when the total
+ * exceeds the balance minus the reserve, operations are shrunk or dropped, lowest priority first.
+ */
+class CostPlanner {
+    /**
+     * Create a CostPlanner
+     * 
+     * @param {BaseSigner} signer - Wallet signer
+     * @param {Object} config - Configuration object
+     * @param {number|null} walletNum - Wallet identifier for logging
+     */
+    constructor(signer, config = {}, walletNum = null) {
+        this.config = config;
+        this.blockchain = new BlockchainManager(signer, config, walletNum);
+        this.walletNum = walletNum;
+        this.logger = walletNum !== null ? logger.getInstance(walletNum) : logger.getInstance();
+    }
+    
+    /**
+     * Get cost planner settings (general.cost_planner)
+     * 
+     * @returns {Object} { enabled, minBalanceToKeep, priorities, callGas }
+     */
+    getPlannerConfig() {
+        const planner = (this.config.general && this.config.general.cost_planner) || {};
+        
+        return {
+            enabled: planner.enabled !== undefined ? Boolean(planner.enabled) : constants.COST_PLANNER.ENABLED,
+            minBalanceToKeep: planner.min_balance_to_keep !== undefined
+                ? Number(planner.min_balance_to_keep)
+                : constants.TRANSFER.MIN_BALANCE_TO_KEEP,
+            priorities: planner.priorities || [],
+            callGas: planner.call_gas !== undefined ? Number(planner.call_gas) : constants.COST_PLANNER.CALL_GAS
+        };
+    }
+    
+    /**
+     * Check if cycles should be planned
+     * 
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return this.getPlannerConfig().enabled;
+    }
+    
+    /**
+     * Ask every operation for its planned transactions
+     * Operations that cannot be estimated are kept and run unplanned
+     * 
+     * @param {Array} operations - Operations ({ name, instance }) in execution order
+     * @returns {Promise<Array>} Estimates ({ name, network, setupGas, setupValue, units, unitGas, unitValue })
+     */
+    async estimate(operations) {
+        const { callGas } = this.getPlannerConfig();
+        const estimates = [];
+        
+        for (const operation of operations) {
+            try {
+                const estimate = await operation.instance.estimateCycle({ callGas: BigInt(callGas) });
+                if (!estimate) continue;
+                
+                estimates.push({
+                    name: operation.name,
+                    network: estimate.network || this.blockchain.network,
+                    setupGas: BigInt(estimate.setupGas || 0),
+                    setupValue: BigInt(estimate.setupValue || 0),
+                    units: estimate.units || 0,
+                    unitGas: BigInt(estimate.unitGas || 0),
+                    unitValue: BigInt(estimate.unitValue || 0)
+                });
+            } catch (error) {
+                this.logger.warn(`Could not estimate ${operation.name}, running it unplanned: ${error.message}`);
+            }
+        }
+        
+        return estimates;
+    }
+    
+    /**
+     * Rank operations for trimming: configured priorities first (highest first), then execution order
+     * 
+     * @param {Array} estimates - Estimates in execution order
+     * @returns {Array} Estimates, highest priority first
+     */
+    rankByPriority(estimates) {
+        const { priorities } = this.getPlannerConfig();
+        const rank = name => (priorities.includes(name) ? priorities.indexOf(name) : priorities.length);
+        
+        // Array.prototype.sort is stable, so unlisted operations keep their execution order
+        return [...estimates].sort((a, b) => rank(a.name) - rank(b.name));
+    }
+    
+    /**
+     * Plan one network: price the estimates, compare them with the balance and trim them if short
+     * 
+     * @param {string} network - Network profile name
+     * @param {Array} estimates - Estimates for the network, in execution order
+     * @returns {Promise<Object>} { shrunk, dropped } with the operation names and new unit counts
+     */
+    async planNetwork(network, estimates) {
+        const web3Instance = this.blockchain.getWeb3(network);
+        const { name, currency } = this.blockchain.getNetwork(network);
+        const { minBalanceToKeep } = this.getPlannerConfig();
+        
+        const gasPrice = BigInt(await this.blockchain.getMaxGasPrice(network));
+        const { balance, error } = await this.blockchain.getBalance(network);
+        if (error) {
+            throw new Error(`Could not read the ${name} balance: ${error}`);
+        }
+        
+        const reserve = BigInt(web3Instance.utils.toWei(String(minBalanceToKeep), 'ether'));
+        const available = BigInt(balance) > reserve ? BigInt(balance) - reserve : BigInt(0);
+        
+        const unitCost = estimate => estimate.unitGas * gasPrice + estimate.unitValue;
+        const cost = estimate => estimate.setupGas * gasPrice + estimate.setupValue + BigInt(estimate.units) * unitCost(estimate);
+        const format = wei => `${web3Instance.utils.fromWei(wei, 'ether')} ${currency}`;
+        
+        const total = estimates.reduce((sum, estimate) => sum + cost(estimate), BigInt(0));
+        
+        this.logger.info(`${name} cycle plan: ~${format(total)} for ${estimates.map(e => `${e.name} ~${format(cost(e))}`).join(', ')}`);
+        this.logger.info(`${name} available: ${format(available)} (balance ${format(BigInt(balance))}, keeping ${format(reserve)})`);
+        
+        const shrunk = [];
+        const dropped = [];
+        let shortfall = total - available;
+        
+        // Trim from the lowest priority up until the plan fits
+        for (const estimate of this.rankByPriority(estimates).reverse()) {
+            if (shortfall <= BigInt(0)) break;
+            
+            const perUnit = unitCost(estimate);
+            if (estimate.units > 1 && perUnit > BigInt(0)) {
+                const unitsToRemove = (shortfall + perUnit - BigInt(1)) / perUnit;
+                
+                if (unitsToRemove < BigInt(estimate.units)) {
+                    const units = estimate.units - Number(unitsToRemove);
+                    this.logger.warn(`Insufficient ${currency} for the full cycle: shrinking ${estimate.name} from ${estimate.units} to ${units}`);
+                    
+                    shortfall -= unitsToRemove * perUnit;
+                    shrunk.push({ name: estimate.name, units });
+                    continue;
+                }
+            }
+            
+            this.logger.warn(`Insufficient ${currency} for the full cycle: dropping ${estimate.name} (~${format(cost(estimate))})`);
+            shortfall -= cost(estimate);
+            dropped.push(estimate.name);
+        }
+        
+        return { shrunk, dropped };
+    }
+    
+    /**
+     * Plan a cycle: estimate every operation, then shrink or drop operations that the balance cannot cover
+     * Operations on other networks (e.g. bridging from Sepolia) are checked against that network's balance
+     * 
+     * @param {Array} operations - Operations ({ name, instance }) in execution order
+     * @returns {Promise<Array>} Operations to run, in execution order
+     */
+    async plan(operations) {
+        const estimates = await this.estimate(operations);
+        const networks = [...new Set(estimates.map(estimate => estimate.network))];
+        const dropped = new Set();
+        
+        for (const network of networks) {
+            try {
+                const result = await this.planNetwork(network, estimates.filter(estimate => estimate.network === network));
+                
+                result.shrunk.forEach(({ name, units }) => {
+                    operations.find(op => op.name === name).instance.limitUnits(units);
+                });
+                result.dropped.forEach(name => dropped.add(name));
+            } catch (error) {
+                this.logger.warn(`Could not plan the cycle on ${network}, running it unplanned: ${error.message}`);
+            }
+        }
+        
+        return operations.filter(op => !dropped.has(op.name));
+    }
+}
+
+module.exports = CostPlanner;
\ No newline at end of file
@@ -0,0 +1,194 @@
+// src/managers/NonceManager.js
+
+// Nonce managers per chain and address, shared by every BlockchainManager of a wallet
+const instances = new Map();
+
+/**
+ * Hands out nonces for one address on one chain
+ * Nonces are reserved before signing, then either marked as broadcast or released if the transaction never reached the network
+ */
+class NonceManager {
+    /**
+     * Create a NonceManager instance
+     * 
+     * @param {string} address - Wallet address
+     * @param {number} chainId - Chain ID
+     * @param {Object} logger - Logger instance
+     */
+    constructor(address, chainId, logger) {
+        this.address = address;
+        this.chainId = chainId;
+        this.logger = logger;
+        
+        // Next nonce to hand out, null until synced from the network
+        this.nextNonce = null;
+        
+        // Reserved nonces that were released before broadcast, reused lowest first
+        this.released = [];
+        
+        // Nonces reserved but not yet broadcast
+        this.reserved = new Set();
+        
+        // Nonces broadcast in this session, mapped to their transaction hash
+        this.broadcast = new Map();
+        
+        // Serializes reservations so concurrent senders never get the same nonce
+        this.queue = Promise.resolve();
+    }
+    
+    /**
+     * Get the shared nonce manager for an address on a chain
+     * 
+     * @param {string} address - Wallet address
+     * @param {number} chainId - Chain ID
+     * @param {Object} logger - Logger instance, used when the manager is first created
+     * @returns {NonceManager} Shared instance
+     */
+    static getInstance(address, chainId, logger) {
+        const key = `${chainId}:${address.toLowerCase()}`;
+        
+        if (!instances.has(key)) {
+            instances.set(key, new NonceManager(address, chainId, logger));
+        }
+        
+        return instances.get(key);
+    }
+    
+    /**
+     * Run a function after every earlier queued call has finished
+     * 
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<any>} Result of the function
+     * @private
+     */
+    _enqueue(fn) {
+        const result = this.queue.then(fn);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+    
+    /**
+     * Read the pending transaction count from the network
+     * 
+     * @param {Object} web3Instance - Web3 instance for this chain
+     * @returns {Promise<number>} Pending nonce
+     */
+    async fetchPendingNonce(web3Instance) {
+        return Number(await web3Instance.eth.getTransactionCount(this.address, 'pending'));
+    }
+    
+    /**
+     * Reserve the next nonce
+     * Released nonces are handed out again before new ones
+     * 
+     * @param {Object} web3Instance - Web3 instance for this chain
+     * @returns {Promise<number>} Reserved nonce
+     */
+    reserve(web3Instance) {
+        return this._enqueue(async () => {
+            if (this.nextNonce === null) {
+                this.nextNonce = await this.fetchPendingNonce(web3Instance);
+                this.logger.info(`Initial nonce from network (chain ${this.chainId}): ${this.nextNonce}`);
+            }
+            
+            let nonce;
+            if (this.released.length > 0) {
+                nonce = this.released.shift();
+                this.logger.info(`Reusing released nonce: ${nonce}`);
+            } else {
+                nonce = this.nextNonce++;
+                this.logger.info(`Reserved nonce: ${nonce}`);
+            }
+            
+            this.reserved.add(nonce);
+            return nonce;
+        });
+    }
+    
+    /**
+     * Give back a reserved nonce whose transaction was never broadcast
+     * 
+     * @param {number} nonce - Reserved nonce
+     */
+    release(nonce) {
+        if (!this.reserved.delete(nonce)) return;
+        
+        if (nonce === this.nextNonce - 1) {
+            this.nextNonce--;
+        } else {
+            this.released.push(nonce);
+            this.released.sort((a, b) => a - b);
+        }
+        
+        this.logger.info(`Released nonce: ${nonce}`);
+    }
+    
+    /**
+     * Record that a reserved nonce was used by a broadcast transaction
+     * 
+     * @param {number} nonce - Reserved nonce
+     * @param {string} txHash - Transaction hash
+     */
+    markBroadcast(nonce, txHash) {
+        this.reserved.delete(nonce);
+        this.broadcast.set(nonce, txHash);
+    }
+    
+    /**
+     * Resync with the network's pending nonce, e.g. after "nonce too low" or "already known"
+     * Nonces still reserved by other senders are kept
+     * 
+     * @param {Object} web3Instance - Web3 instance for this chain
+     * @returns {Promise<number>} Next nonce after resync
+     */
+    resync(web3Instance) {
+        return this._enqueue(async () => {
+            const pending = await this.fetchPendingNonce(web3Instance);
+            const highestReserved = this.reserved.size > 0 ? Math.max(...this.reserved) + 1 : 0;
+            
+            this.nextNonce = Math.max(pending, highestReserved);
+            this.released = this.released.filter(nonce => nonce >= pending);
+            
+            this.logger.info(`Resynced nonce from network (chain ${this.chainId}): ${this.nextNonce}`);
+            return this.nextNonce;
+        });
+    }
+    
+    /**
+     * Forget the tracked nonce so the next reservation reads it from the network
+     * Ignored while nonces are reserved, as another sender is still using them
+     */
+    reset() {
+        if (this.reserved.size > 0) return;
+        
+        this.nextNonce = null;
+        this.released = [];
+    }
+    
+    /**
+     * Find nonces below the tracked nonce that the network has no transaction for
+     * Gaps are left by released nonces that were not reused and by dropped transactions,
+     * and block every later transaction of the address until they are filled
+     * 
+     * @param {Object} web3Instance - Web3 instance for this chain
+     * @returns {Promise<Array>} Gaps as { nonce, txHash } where txHash is the dropped transaction, if known
+     */
+    async findGaps(web3Instance) {
+        if (this.nextNonce === null) return [];
+        
+        // The network's pending nonce stops at the first missing transaction
+        const pending = await this.fetchPendingNonce(web3Instance);
+        if (pending >= this.nextNonce || this.reserved.has(pending)) return [];
+        
+        const gaps = [{ nonce: pending, txHash: this.broadcast.get(pending) || null }];
+        
+        // Released nonces above it are missing as well
+        this.released
+            .filter(nonce => nonce > pending)
+            .forEach(nonce => gaps.push({ nonce, txHash: null }));
+        
+        return gaps;
+    }
+}
+
+module.exports = NonceManager;
\ No newline at end of file
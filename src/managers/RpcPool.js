@@ -0,0 +1,311 @@
+// src/managers/RpcPool.js
+const { Web3, HttpProvider } = require('web3');
+const constants = require('../utils/constants');
+const logger = require('../utils/logger');
+const { classifyError, ERROR_CATEGORIES } = require('../utils/errorClassifier');
+
+// Endpoint pools per network profile, shared by every wallet
+const instances = new Map();
+
+// Low-level connection failures that mean the endpoint, not the request, is at fault
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH'];
+
+/**
+ * Pool of RPC endpoints for one network, usable as a web3 provider
+ * Requests go to the healthiest endpoint and fail over to the next one on connection errors,
+ * timeouts and rate limits. An endpoint that keeps failing is taken out of rotation for a cooldown.
+ */
+class RpcPool {
+    /**
+     * Create an RpcPool instance
+     * 
+     * @param {Object} profile - Normalized network profile
+     * @param {Object} options - Pool settings (see getRpcPoolConfig in BlockchainManager)
+     */
+    constructor(profile, options = {}) {
+        this.network = profile.key;
+        this.chainId = profile.chainId;
+        this.options = {
+            healthCheckIntervalMs: constants.RPC_POOL.HEALTH_CHECK_INTERVAL_SECONDS * 1000,
+            maxBlockLag: constants.RPC_POOL.MAX_BLOCK_LAG,
+            failureThreshold: constants.RPC_POOL.FAILURE_THRESHOLD,
+            cooldownMs: constants.RPC_POOL.COOLDOWN_SECONDS * 1000,
+            requestTimeoutMs: constants.RPC_POOL.REQUEST_TIMEOUT_SECONDS * 1000,
+            ...options
+        };
+        
+        this.endpoints = profile.rpcUrls.map(url => ({
+            url,
+            provider: new HttpProvider(url),
+            healthy: true,
+            wrongChain: false,
+            chainId: null,
+            consecutiveFailures: 0,
+            openUntil: 0,
+            latencyMs: null,
+            blockNumber: null
+        }));
+        
+        this.lastHealthCheck = 0;
+        this.healthCheckPromise = null;
+        this.logger = logger.getInstance();
+    }
+    
+    /**
+     * Get the shared pool for a network profile
+     * 
+     * @param {Object} profile - Normalized network profile
+     * @param {Object} options - Pool settings, used when the pool is first created
+     * @returns {RpcPool} Shared instance
+     */
+    static getInstance(profile, options = {}) {
+        const key = `${profile.key}:${profile.rpcUrls.join(',')}`;
+        
+        if (!instances.has(key)) {
+            instances.set(key, new RpcPool(profile, options));
+        }
+        
+        return instances.get(key);
+    }
+    
+    /**
+     * Tell web3 to poll for receipts, as HTTP endpoints have no subscriptions
+     * 
+     * @returns {boolean} Always false
+     */
+    supportsSubscriptions() {
+        return false;
+    }
+    
+    /**
+     * Check whether an endpoint's circuit breaker is closed (or half-open after its cooldown)
+     * 
+     * @param {Object} endpoint - Endpoint state
+     * @returns {boolean} True if requests may be sent to it
+     */
+    isAvailable(endpoint) {
+        return !endpoint.wrongChain && endpoint.openUntil <= Date.now();
+    }
+    
+    /**
+     * Order endpoints for a request: healthy available ones by latency first,
+     * then the rest by the time their cooldown ends, so a request is still attempted if all are down
+     * 
+     * @returns {Array} Endpoints in the order to try
+     */
+    getCandidates() {
+        const usable = this.endpoints.filter(endpoint => !endpoint.wrongChain);
+        const ready = usable
+            .filter(endpoint => endpoint.healthy && this.isAvailable(endpoint))
+            .sort((a, b) => (a.latencyMs === null ? Infinity : a.latencyMs) - (b.latencyMs === null ? Infinity : b.latencyMs));
+        const rest = usable
+            .filter(endpoint => !ready.includes(endpoint))
+            .sort((a, b) => a.openUntil - b.openUntil);
+        
+        return [...ready, ...rest];
+    }
+    
+    /**
+     * Decide whether an error is the endpoint's fault and worth failing over
+     * 
+     * @param {Error|Object} error - Thrown error or JSON-RPC error response
+     * @returns {boolean} True for connection errors, timeouts, rate limits and 5xx responses
+     */
+    isEndpointFailure(error) {
+        if (!error) return false;
+        
+        const status = error.statusCode || error.status;
+        if (status === 429 || (status >= 500 && status < 600)) return true;
+        
+        const code = error.code || (error.cause && error.cause.code);
+        if (CONNECTION_ERROR_CODES.includes(code)) return true;
+        if (error.name === 'AbortError' || error.name === 'TimeoutError' || error.name === 'FetchError') return true;
+        
+        const { category } = classifyError(error);
+        return category === ERROR_CATEGORIES.RATE_LIMITED || category === ERROR_CATEGORIES.RPC_TIMEOUT;
+    }
+    
+    /**
+     * Record a successful request and close the endpoint's circuit breaker
+     * 
+     * @param {Object} endpoint - Endpoint state
+     * @param {number} latencyMs - Request latency
+     */
+    recordSuccess(endpoint, latencyMs) {
+        if (endpoint.openUntil > 0) {
+            this.logger.info(`RPC endpoint ${endpoint.url} recovered`);
+        }
+        
+        endpoint.consecutiveFailures = 0;
+        endpoint.openUntil = 0;
+        endpoint.latencyMs = latencyMs;
+    }
+    
+    /**
+     * Record a failed request and open the circuit breaker once the failure threshold is reached
+     * 
+     * @param {Object} endpoint - Endpoint state
+     * @param {Error} error - Failure
+     */
+    recordFailure(endpoint, error) {
+        endpoint.consecutiveFailures++;
+        
+        // A half-open endpoint goes straight back to cooldown
+        if (endpoint.consecutiveFailures >= this.options.failureThreshold || endpoint.openUntil > 0) {
+            endpoint.openUntil = Date.now() + this.options.cooldownMs;
+            this.logger.warn(`RPC endpoint ${endpoint.url} taken out of rotation for ${this.options.cooldownMs / 1000}s: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Send a payload to one endpoint with a timeout
+     * 
+     * @param {Object} endpoint - Endpoint state
+     * @param {Object} payload - JSON-RPC payload
+     * @returns {Promise<Object>} JSON-RPC response
+     * @private
+     */
+    async _send(endpoint, payload) {
+        return await endpoint.provider.request(payload, {
+            signal: AbortSignal.timeout(this.options.requestTimeoutMs)
+        });
+    }
+    
+    /**
+     * EIP-1193 style request used by web3: send to the best endpoint and fail over on endpoint failures
+     * 
+     * @param {Object} payload - JSON-RPC payload
+     * @returns {Promise<Object>} JSON-RPC response
+     */
+    async request(payload) {
+        await this.maybeCheckHealth();
+        
+        const candidates = this.getCandidates();
+        let lastError = null;
+        
+        for (let i = 0; i < candidates.length; i++) {
+            const endpoint = candidates[i];
+            const started = Date.now();
+            
+            try {
+                const response = await this._send(endpoint, payload);
+                
+                // Rate limits and server errors can also come back as a JSON-RPC error body
+                if (response && response.error && this.isEndpointFailure(response.error)) {
+                    throw Object.assign(new Error(response.error.message || 'RPC error'), response.error);
+                }
+                
+                // A raw transaction that reached an earlier endpoint before it failed is already in the mempool
+                if (i > 0 && payload.method === 'eth_sendRawTransaction' && response && response.error && /already known/i.test(response.error.message)) {
+                    this.recordSuccess(endpoint, Date.now() - started);
+                    return { jsonrpc: '2.0', id: payload.id, result: Web3.utils.keccak256(payload.params[0]) };
+                }
+                
+                this.recordSuccess(endpoint, Date.now() - started);
+                return response;
+            } catch (error) {
+                if (!this.isEndpointFailure(error)) {
+                    throw error;
+                }
+                
+                lastError = error;
+                this.recordFailure(endpoint, error);
+                
+                if (i < candidates.length - 1) {
+                    this.logger.warn(`RPC ${payload.method} failed on ${endpoint.url} (${error.message}), failing over to ${candidates[i + 1].url}`);
+                }
+            }
+        }
+        
+        throw lastError || new Error(`No RPC endpoint available for network ${this.network}`);
+    }
+    
+    /**
+     * Run a health check if the interval has passed
+     * Only pools with more than one endpoint are checked
+     * 
+     * @returns {Promise<void>}
+     */
+    async maybeCheckHealth() {
+        if (this.endpoints.length < 2) return;
+        if (Date.now() - this.lastHealthCheck < this.options.healthCheckIntervalMs) return;
+        
+        // Concurrent requests share one check
+        if (!this.healthCheckPromise) {
+            this.healthCheckPromise = this.checkHealth().finally(() => {
+                this.healthCheckPromise = null;
+            });
+        }
+        
+        await this.healthCheckPromise;
+    }
+    
+    /**
+     * Check every endpoint's chain ID, block height and latency
+     * Endpoints on the wrong chain are dropped for good; endpoints lagging more than max_block_lag
+     * blocks behind the highest one, or not answering, are skipped until the next check
+     * 
+     * @returns {Promise<Array>} Health report per endpoint
+     */
+    async checkHealth() {
+        this.lastHealthCheck = Date.now();
+        
+        await Promise.all(this.endpoints.filter(endpoint => !endpoint.wrongChain).map(async endpoint => {
+            const started = Date.now();
+            
+            try {
+                const chainResponse = await this._send(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] });
+                const blockResponse = await this._send(endpoint, { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] });
+                
+                endpoint.chainId = Number(chainResponse.result);
+                
+                if (endpoint.chainId !== this.chainId) {
+                    endpoint.wrongChain = true;
+                    endpoint.healthy = false;
+                    this.logger.error(`RPC endpoint ${endpoint.url} reports chain ID ${endpoint.chainId}, expected ${this.chainId}; removed from the pool`);
+                    return;
+                }
+                
+                endpoint.blockNumber = Number(blockResponse.result);
+                endpoint.latencyMs = (Date.now() - started) / 2;
+                endpoint.healthy = true;
+            } catch (error) {
+                endpoint.healthy = false;
+                this.recordFailure(endpoint, error);
+            }
+        }));
+        
+        // Endpoints far behind the best block height serve stale state
+        const heights = this.endpoints.filter(endpoint => endpoint.healthy).map(endpoint => endpoint.blockNumber);
+        const best = heights.length > 0 ? Math.max(...heights) : null;
+        
+        this.endpoints.forEach(endpoint => {
+            if (endpoint.healthy && best !== null && best - endpoint.blockNumber > this.options.maxBlockLag) {
+                endpoint.healthy = false;
+                this.logger.warn(`RPC endpoint ${endpoint.url} is ${best - endpoint.blockNumber} blocks behind, skipping it until the next health check`);
+            }
+        });
+        
+        return this.getStatus();
+    }
+    
+    /**
+     * Get the current state of every endpoint
+     * 
+     * @returns {Array} Endpoint reports
+     */
+    getStatus() {
+        return this.endpoints.map(endpoint => ({
+            url: endpoint.url,
+            healthy: endpoint.healthy && !endpoint.wrongChain,
+            wrongChain: endpoint.wrongChain,
+            chainId: endpoint.chainId,
+            available: this.isAvailable(endpoint),
+            latencyMs: endpoint.latencyMs,
+            blockNumber: endpoint.blockNumber,
+            consecutiveFailures: endpoint.consecutiveFailures
+        }));
+    }
+}
+
+module.exports = RpcPool;
\ No newline at end of file
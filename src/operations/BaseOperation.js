@@ -12,16 +12,17 @@ class BaseOperation {
     /**
      * Create a new operation instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      * @param {string} operationName - Name of the operation (used for config access)
      */
-    constructor(privateKey, config = {}, operationName) {
+    constructor(signer, config = {}, operationName) {
         this.operationName = operationName;
         this.defaultConfig = {};
         
         // Initialize blockchain manager
-        this.blockchain = privateKey ? new BlockchainManager(privateKey, config) : null;
+        this.blockchain = signer ? new BlockchainManager(signer, config) : null;
+        if (this.blockchain) this.blockchain.setOperationName(operationName);
         this.walletNum = this.blockchain ? this.blockchain.walletNum : null;
         
         // Initialize config manager with operation-specific defaults
@@ -71,6 +72,50 @@ class BaseOperation {
         return await addRandomDelay(this.getDelayConfig(), this.walletNum, message);
     }
     
+    /**
+     * Estimate the transactions this operation will send in the coming cycle, for the cost planner
+     * Work that can be trimmed is expressed as units (repeats, interactions, mints...).
+     * Random counts are pinned here (see pinRange) so the run sends as many transactions as estimated.
+     * Generated content such as names, token features and random contracts is still chosen when the operation runs,
+     * so it is estimated from a representative contract or an upper bound such as max_gas.
+     * Operations that send nothing return null.
+     * 
+     * @param {Object} options - { callGas } gas assumed per contract call
+     * @returns {Promise<Object|null>} { network, setupGas, setupValue, units, unitGas, unitValue }
+     */
+    async estimateCycle(options) {
+        return null;
+    }
+    
+    /**
+     * Run at most this many units of work in the coming cycle (see estimateCycle)
+     * 
+     * @param {number} units - Number of units
+     */
+    limitUnits(units) {
+        this.setRepeatTimes(units);
+    }
+    
+    /**
+     * Fix a min/max range of this operation's config to a single value
+     * 
+     * @param {string} property - Range property (e.g. "count" or "interactions.count")
+     * @param {number} value - Value to use
+     */
+    pinRange(property, value) {
+        this.configManager.set(`operations.${this.operationName}.${property}.min`, value);
+        this.configManager.set(`operations.${this.operationName}.${property}.max`, value);
+    }
+    
+    /**
+     * Override this operation's repeat_times
+     * 
+     * @param {number} times - Number of repeats
+     */
+    setRepeatTimes(times) {
+        this.configManager.set(`operations.${this.operationName}.repeat_times`, times);
+    }
+    
     /**
      * Execute this operation with standardized logging and error handling
      * Template method pattern - subclasses implement executeOperations()
@@ -86,12 +131,23 @@ class BaseOperation {
         this.logger.header(`Starting ${this.operationName} operations...`);
         
         try {
-            // Reset blockchain manager nonce if available
-            if (this.blockchain) this.blockchain.resetNonce();
+            // Reset blockchain manager failure counts if available
+            if (this.blockchain) {
+                this.blockchain.resetFailureStats();
+            }
             
             // Execute implementation-specific operations
             const result = await this.executeOperations();
             
+            this.logFailureSummary();
+            
+            // Warn about nonce gaps left by dropped transactions, on every network this operation sent on
+            if (this.blockchain) {
+                for (const network of this.blockchain.getUsedNetworks()) {
+                    await this.blockchain.checkNonceGaps(network);
+                }
+            }
+            
             if (result) {
                 this.logger.success(`${this.operationName} operations completed successfully!`);
             }
@@ -103,6 +159,27 @@ class BaseOperation {
         }
     }
     
+    /**
+     * Log failed transactions of this operation grouped by error category, and stuck transaction outcomes
+     */
+    logFailureSummary() {
+        if (!this.blockchain) return;
+        
+        // Report stuck transactions that were sped up or cancelled
+        const stuck = this.blockchain.getStuckTransactions();
+        if (stuck.length > 0) {
+            const outcomes = stuck.map(entry => `${entry.methodName} (nonce ${entry.nonce}): ${entry.result}`).join(', ');
+            this.logger.warn(`${this.operationName} stuck transactions: ${outcomes}`);
+        }
+        
+        const stats = this.blockchain.getFailureStats();
+        const entries = Object.entries(stats);
+        if (entries.length === 0) return;
+        
+        const summary = entries.map(([category, count]) => `${category} x${count}`).join(', ');
+        this.logger.warn(`${this.operationName} failed transactions by category: ${summary}`);
+    }
+    
     /**
      * Execute operation-specific logic
      * To be implemented by subclasses
@@ -1,5 +1,7 @@
 // src/operations/OperationRegistry.js
+const BlockchainManager = require('../managers/BlockchainManager');
 const ConfigManager = require('../managers/ConfigManager');
+const CostPlanner = require('../managers/CostPlanner');
 const logger = require('../utils/logger');
 
 /**
@@ -10,15 +12,16 @@ class OperationRegistry {
     /**
      * Create a new OperationRegistry
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      * @param {number|null} walletNum - Wallet identifier for logging
      */
-    constructor(privateKey, config = {}, walletNum = null) {
-        this.privateKey = privateKey;
+    constructor(signer, config = {}, walletNum = null) {
+        this.signer = signer;
         this.config = config;
         this.walletNum = walletNum;
         this.configManager = new ConfigManager(config, {}, walletNum);
+        this.blockchain = signer ? new BlockchainManager(signer, config, walletNum) : null;
         this.logger = walletNum !== null ? logger.getInstance(walletNum) : logger.getInstance();
         
         // Dynamically load all operation classes
@@ -39,16 +42,20 @@ class OperationRegistry {
         const TestContract = require('./testcontract');
         const BatchOperation = require('./batchoperation');
         const Bridge = require('./bridge');
+        const RandomContract = require('./randomcontract');
+        const RandomToken = require('./randomtoken');
         
         // Initialize all operation instances
         this.operations = [
-            { name: "bridge", instance: new Bridge(this.privateKey, this.config) },
-            { name: "transfer", instance: new TokenTransfer(this.privateKey, this.config) },
-            { name: "contract_deploy", instance: new NormalContract(this.privateKey, this.config) },
-            { name: "contract_testing", instance: new TestContract(this.privateKey, this.config) },
-            { name: "erc20", instance: new ERC20Token(this.privateKey, this.config) },
-            { name: "nft", instance: new NFT(this.privateKey, this.config) },
-            { name: "batch_operations", instance: new BatchOperation(this.privateKey, this.config) }
+            { name: "bridge", instance: new Bridge(this.signer, this.config) },
+            { name: "transfer", instance: new TokenTransfer(this.signer, this.config) },
+            { name: "contract_deploy", instance: new NormalContract(this.signer, this.config) },
+            { name: "contract_testing", instance: new TestContract(this.signer, this.config) },
+            { name: "erc20", instance: new ERC20Token(this.signer, this.config) },
+            { name: "nft", instance: new NFT(this.signer, this.config) },
+            { name: "batch_operations", instance: new BatchOperation(this.signer, this.config) },
+            { name: "random_contract", instance: new RandomContract(this.signer, this.config) },
+            { name: "random_token", instance: new RandomToken(this.signer, this.config) }
         ];
         
         // Set wallet number for all operations
@@ -65,6 +72,7 @@ class OperationRegistry {
     setWalletNum(num) {
         this.walletNum = num;
         this.configManager.setWalletNum(num);
+        if (this.blockchain) this.blockchain.setWalletNum(num);
         this.logger = logger.getInstance(num);
         this.operations.forEach(op => op.instance.setWalletNum(num));
     }
@@ -113,6 +121,12 @@ class OperationRegistry {
         const operationsToRun = randomizationConfig.operations_to_run || 
             this.operations.map(op => op.name);
         
+        // Warn about configured operations that have no registered implementation
+        const knownNames = this.operations.map(op => op.name);
+        operationsToRun
+            .filter(name => !knownNames.includes(name))
+            .forEach(name => this.logger.warn(`Unknown operation "${name}" in operations_to_run, skipping`));
+        
         const filteredOperations = this.operations.filter(op => 
             operationsToRun.includes(op.name) && op.instance.isEnabled());
         
@@ -143,30 +157,90 @@ class OperationRegistry {
         }
     }
     
+    /**
+     * Get the operations a checkpoint has not completed yet, in its saved order
+     * Failed operations are included, as a failure before a restart is often the outage that caused it
+     * 
+     * @param {Object} checkpoint - Wallet checkpoint of the current cycle
+     * @returns {Array} Operations in execution order
+     */
+    getRemainingOperations(checkpoint) {
+        return checkpoint.order
+            .filter(name => !checkpoint.operations[name] || checkpoint.operations[name].status !== 'completed')
+            .map(name => this.operations.find(op => op.name === name))
+            .filter(op => op && op.instance.isEnabled());
+    }
+    
     /**
      * Execute all operations in optimized order
+     * The planned order and each operation's result are checkpointed, so after a restart the wallet
+     * continues with its first operation that did not complete and keeps the order it planned.
+     * The cycle is planned first, so operations the balance cannot cover are shrunk or dropped up front.
+     * Once the wallet's budget is exhausted, the remaining operations are skipped.
      * 
      * @returns {Promise<boolean>} Success status
      */
     async executeAll() {
-        const operations = this.getRandomizedOperations();
+        // Budgets are per wallet and cycle
+        if (this.blockchain) this.blockchain.resetBudgetUsage();
+        
+        const saved = this.blockchain ? await this.blockchain.getWalletCheckpoint() : null;
+        let operations = saved ? this.getRemainingOperations(saved) : this.getRandomizedOperations();
+        
+        if (saved) {
+            const finished = Object.keys(saved.operations).filter(name => saved.operations[name].status === 'completed');
+            this.logger.info(`Resuming from the checkpoint, ${finished.length}/${saved.order.length} operations already completed${finished.length > 0 ? `: ${finished.join(', ')}` : ''}`);
+        }
+        
+        const planner = new CostPlanner(this.signer, this.config, this.walletNum);
+        if (planner.isEnabled()) {
+            operations = await planner.plan(operations);
+        }
+        
+        const checkpoint = saved || { walletNum: this.walletNum, order: operations.map(op => op.name), operations: {}, completedAt: null };
+        const saveCheckpoint = async () => {
+            if (this.blockchain) await this.blockchain.saveWalletCheckpoint(checkpoint);
+        };
+        
+        if (!saved) await saveCheckpoint();
         
         // Log the operation sequence
         this.logger.info(`Operations sequence: ${operations.map(op => op.name).join(' -> ')}`);
         
+        // Operations that failed before a restart run again, so only this run's results count
         let success = true;
+        
         // Execute operations in the determined order
         for (const operation of operations) {
+            if (this.blockchain && this.blockchain.isBudgetExhausted()) {
+                const remaining = operations.slice(operations.indexOf(operation)).map(op => op.name);
+                this.logger.warn(`Budget exhausted, skipping ${remaining.join(', ')}`);
+                break;
+            }
+            
+            let result = false;
+            let errorMessage;
+            
             try {
                 logger.setWalletNum(this.walletNum);
-                const result = await operation.instance.execute();
-                if (!result) success = false;
+                result = await operation.instance.execute();
             } catch (error) {
                 this.logger.error(`Error in ${operation.name} operation: ${error.message}`);
-                success = false;
+                errorMessage = error.message;
             }
+            
+            if (!result) success = false;
+            
+            const status = result ? 'completed' : 'failed';
+            checkpoint.operations[operation.name] = { status, result, error: errorMessage, finishedAt: new Date().toISOString() };
+            await saveCheckpoint();
+            
+            if (this.blockchain) await this.blockchain.journalOperation(operation.name, status);
         }
         
+        checkpoint.completedAt = new Date().toISOString();
+        await saveCheckpoint();
+        
         return success;
     }
 }
@@ -1,5 +1,4 @@
 // src/operations/batchoperation.js
-const constants = require('../utils/constants');
 const BaseOperation = require('./BaseOperation');
 const ContractManager = require('../managers/ContractManager');
 
@@ -11,21 +10,22 @@ class BatchOperation extends BaseOperation {
     /**
      * Create a new BatchOperation instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      */
-    constructor(privateKey, config = {}) {
+    constructor(signer, config = {}) {
         // Define default config
         const defaultConfig = {
             enabled: true,
             operations_per_batch: {
                 min: 2,
                 max: 5
-            }
+            },
+            pipelined: false
         };
         
         // Initialize base class
-        super(privateKey, config, 'batch_operations');
+        super(signer, config, 'batch_operations');
         
         // Override default config
         this.defaultConfig = defaultConfig;
@@ -184,6 +184,24 @@ class BatchOperation extends BaseOperation {
         return { batchOperations, parameters };
     }
     
+    /**
+     * Estimate the deployment, the individual operation test and up to two batches of the coming cycle
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle({ callGas }) {
+        const compiledContract = await this.contractManager.compileOperationContract(
+            this.operationName,
+            'BatchProcessor',
+            this.getBatchProcessorSource(),
+            'BatchProcessor.sol'
+        );
+        const deployGas = await this.contractManager.estimateDeploymentGas(compiledContract, []);
+        
+        return { setupGas: BigInt(deployGas) + BigInt(3) * callGas };
+    }
+    
     /**
      * Implement the executeOperations method from BaseOperation
      * 
@@ -193,7 +211,8 @@ class BatchOperation extends BaseOperation {
         try {
             // Step 1: Compile and deploy batch processor contract
             this.logger.info(`Step 1: Compiling batch processor contract...`);
-            const compiledContract = await this.contractManager.compileContract(
+            const compiledContract = await this.contractManager.compileOperationContract(
+                this.operationName,
                 'BatchProcessor', 
                 this.getBatchProcessorSource(), 
                 'BatchProcessor.sol'
@@ -213,11 +232,11 @@ class BatchOperation extends BaseOperation {
             
             // Step 4: Execute multiple batches
             this.logger.info(`Step 4: Executing multiple batches...`);
-            const batchResults = await this.executeMultipleBatches(deployedContract.contractAddress, deployedContract.abi);
+            await this.executeMultipleBatches(deployedContract.contractAddress, deployedContract.abi);
             
             this.logger.success(`Batch operation operations completed successfully!`);
             this.logger.success(`Batch processor: ${deployedContract.contractAddress}`);
-            this.logger.success(`View contract: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+            this.logger.success(`View contract: ${this.blockchain.getExplorerUrl('address', deployedContract.contractAddress)}`);
             
             return true;
         } catch (error) {
@@ -352,6 +371,66 @@ class BatchOperation extends BaseOperation {
         }
     }
     
+    /**
+     * Execute several batches with pipelined sending
+     * All executeBatch transactions are broadcast with consecutive nonces before waiting for receipts
+     * 
+     * @param {string} contractAddress - Contract address
+     * @param {Array} abi - Contract ABI
+     * @param {number} numBatches - Number of batches to execute
+     * @returns {Promise<Array>} Array of batch results in execution order
+     */
+    async executePipelinedBatches(contractAddress, abi, numBatches) {
+        // Generate every batch up front
+        const batches = [];
+        for (let i = 0; i < numBatches; i++) {
+            batches.push(this.generateBatchOperations());
+        }
+        
+        this.logger.info(`Pipelining ${numBatches} batch executions...`);
+        
+        const txResults = await this.contractManager.callContractMethods(
+            contractAddress,
+            abi,
+            batches.map(({ batchOperations, parameters }) => ({
+                methodName: 'executeBatch',
+                methodArgs: [batchOperations, parameters]
+            }))
+        );
+        
+        // Status reflects all mined batches
+        const statusResult = await this.contractManager.callViewMethod(
+            contractAddress,
+            abi,
+            'getStatus',
+            []
+        );
+        
+        if (statusResult.success) {
+            this.logger.info(`Status after pipelined batches - Operation count: ${statusResult.result[0]}, Last value: ${statusResult.result[1]}`);
+        }
+        
+        return txResults.map((result, i) => {
+            const { batchOperations, parameters } = batches[i];
+            
+            if (result.success) {
+                this.logger.success(`Batch ${i + 1}/${numBatches} successful: ${batchOperations.join(', ')}`);
+                return {
+                    txHash: result.txHash,
+                    operations: batchOperations,
+                    parameters: parameters,
+                    success: true
+                };
+            }
+            
+            this.logger.error(`Batch ${i + 1}/${numBatches} failed: ${result.error}`);
+            return {
+                success: false,
+                error: result.error
+            };
+        });
+    }
+    
     /**
      * Execute multiple batches
      * 
@@ -366,6 +445,13 @@ class BatchOperation extends BaseOperation {
             
             this.logger.info(`Will execute ${numBatches} batch operations...`);
             
+            const pipelined = this.configManager.getBoolean('operations.batch_operations.pipelined',
+                              this.configManager.getBoolean('batch_operations.pipelined', false));
+            
+            if (pipelined) {
+                return await this.executePipelinedBatches(contractAddress, abi, numBatches);
+            }
+            
             const results = [];
             
             for (let i = 0; i < numBatches; i++) {
@@ -1,5 +1,6 @@
 // src/operations/bridge.js
 const constants = require('../utils/constants');
+const { getBridgeNetworkNames } = require('../utils/networks');
 const BaseOperation = require('./BaseOperation');
 
 /**
@@ -10,10 +11,10 @@ class Bridge extends BaseOperation {
     /**
      * Create a new Bridge instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      */
-    constructor(privateKey, config = {}) {
+    constructor(signer, config = {}) {
         // Define default config
         const defaultConfig = {
             enabled: false,
@@ -26,10 +27,13 @@ class Bridge extends BaseOperation {
         };
         
         // Initialize base class
-        super(privateKey, config, 'bridge');
+        super(signer, config, 'bridge');
         
         // Override default config
         this.defaultConfig = defaultConfig;
+        
+        // Network profiles deposits are sent from and arrive on
+        this.networks = getBridgeNetworkNames(config);
     }
     
     /**
@@ -39,28 +43,54 @@ class Bridge extends BaseOperation {
      */
     async getBalances() {
         try {
-            const sepoliaBalanceData = await this.blockchain.getBalance('sepolia');
-            const fhenixBalanceData = await this.blockchain.getBalance('fhenix');
+            const { source, target } = this.networks;
+            const sourceBalanceData = await this.blockchain.getBalance(source);
+            const targetBalanceData = await this.blockchain.getBalance(target);
             
             this.logger.info(`💰 Current Balances:`);
-            this.logger.info(`  • Sepolia: ${sepoliaBalanceData.balanceInEth} ETH`);
-            this.logger.info(`  • Fhenix: ${fhenixBalanceData.balanceInEth} FHE`);
+            this.logger.info(`  • ${this.blockchain.getNetwork(source).name}: ${sourceBalanceData.balanceInEth} ${this.blockchain.getNetwork(source).currency}`);
+            this.logger.info(`  • ${this.blockchain.getNetwork(target).name}: ${targetBalanceData.balanceInEth} ${this.blockchain.getNetwork(target).currency}`);
             
             return { 
-                sepolia_balance: sepoliaBalanceData.balance, 
-                fhenix_balance: fhenixBalanceData.balance
+                source_balance: sourceBalanceData.balance,
+                target_balance: targetBalanceData.balance
             };
         } catch (error) {
             this.logger.error(`Failed to get balances: ${error.message}`);
             return { 
-                sepolia_balance: '0', 
-                fhenix_balance: '0'
+                source_balance: '0',
+                target_balance: '0'
             };
         }
     }
     
     /**
-     * Bridge ETH from Sepolia to Fhenix
+     * Estimate the bridge deposits of the coming cycle on the source network, one unit per deposit at the maximum amount
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle(options) {
+        const amountRange = this.configManager.getRange('bridge', 'amount', 0.0001, 0.0004);
+        const maxAmountWei = this.blockchain.getWeb3(this.networks.source).utils.toWei(String(amountRange.max), 'ether');
+        
+        const unitGas = await this.blockchain.estimateGas({
+            from: this.blockchain.address,
+            to: constants.BRIDGE.INBOX_ADDRESS,
+            value: maxAmountWei,
+            data: constants.BRIDGE.DEPOSIT_FUNCTION
+        }, this.networks.source);
+        
+        return {
+            network: this.networks.source,
+            units: this.configManager.getRepeatTimes('bridge', 1),
+            unitGas,
+            unitValue: maxAmountWei
+        };
+    }
+    
+    /**
+     * Bridge ETH from the source network (Sepolia by default) to the target network (Fhenix)
      * 
      * @returns {Promise<boolean>} Success status
      */
@@ -77,13 +107,13 @@ class Bridge extends BaseOperation {
                              this.configManager.getNumber('bridge.amount.decimals', 7));
             
             const amount_eth = Number(amountRange.min + Math.random() * (amountRange.max - amountRange.min)).toFixed(decimals);
-            const amount_wei = this.blockchain.sepoliaWeb3.utils.toWei(amount_eth, 'ether');
+            const amount_wei = this.blockchain.getWeb3(this.networks.source).utils.toWei(amount_eth, 'ether');
             
             // Get initial balances
-            const { sepolia_balance, fhenix_balance } = await this.getBalances();
+            const { source_balance, target_balance } = await this.getBalances();
             
-            if (BigInt(sepolia_balance) < BigInt(amount_wei)) {
-                this.logger.error(`Insufficient Sepolia balance to bridge ${amount_eth} ETH`);
+            if (BigInt(source_balance) < BigInt(amount_wei)) {
+                this.logger.error(`Insufficient ${this.blockchain.getNetwork(this.networks.source).name} balance to bridge ${amount_eth} ETH`);
                 return false;
             }
             
@@ -100,18 +130,23 @@ class Bridge extends BaseOperation {
             };
 
             // Send bridge transaction
-            const result = await this.blockchain.sendTransaction(txObject, "bridge", "sepolia");
+            const result = await this.blockchain.sendTransaction(txObject, "bridge", this.networks.source);
             
             if (!result.success) {
                 this.logger.error(`Bridge transaction failed: ${result.error}`);
                 return false;
             }
             
+            // Simulated or prepared offline: nothing was sent, so there is no bridge transfer to wait for
+            if (result.simulated || result.prepared) {
+                return true;
+            }
+            
             this.logger.success(`Bridge transaction sent: ${result.txHash}`);
-            this.logger.success(`Track on Sepolia: ${constants.SEPOLIA.EXPLORER_URL}/tx/${result.txHash}`);
+            this.logger.success(`Track on ${this.blockchain.getNetwork(this.networks.source).name}: ${this.blockchain.getExplorerUrl('tx', result.txHash, this.networks.source)}`);
             
             // Wait for bridge completion
-            return await this.waitForBridgeCompletion(fhenix_balance, amount_wei);
+            return await this.waitForBridgeCompletion(target_balance, amount_wei);
             
         } catch (error) {
             this.logger.error(`Bridge transaction failed: ${error.message}`);
@@ -122,32 +157,32 @@ class Bridge extends BaseOperation {
     /**
      * Wait for bridge completion
      * 
-     * @param {string} initialFhenixBalance - Initial balance on Fhenix
+     * @param {string} initialTargetBalance - Initial balance on the target network
      * @param {string} amountBridgedWei - Amount bridged in wei
      * @returns {Promise<boolean>} Success status
      */
-    async waitForBridgeCompletion(initialFhenixBalance, amountBridgedWei) {
+    async waitForBridgeCompletion(initialTargetBalance, amountBridgedWei) {
         this.logger.info(`🔄 Monitoring bridge progress...`);
         const checkInterval = 30; // Check every 30 seconds
         const maxChecks = 20;     // Maximum 10 minutes (20 * 30 seconds) of checking
         let checks = 0;
         
         // Convert to BigInt for safer comparison
-        const initialBalance = BigInt(initialFhenixBalance);
+        const initialBalance = BigInt(initialTargetBalance);
         
         while (checks < maxChecks) {
             // Add delay between checks
             await new Promise(resolve => setTimeout(resolve, checkInterval * 1000));
             
             try {
-                const currentFhenixBalanceData = await this.blockchain.getBalance('fhenix');
-                const currentFhenixBalance = BigInt(currentFhenixBalanceData.balance);
+                const currentTargetBalanceData = await this.blockchain.getBalance(this.networks.target);
+                const currentTargetBalance = BigInt(currentTargetBalanceData.balance);
                 
-                if (currentFhenixBalance > initialBalance) {
-                    const balanceIncrease = currentFhenixBalance - initialBalance;
+                if (currentTargetBalance > initialBalance) {
+                    const balanceIncrease = currentTargetBalance - initialBalance;
                     const increaseEth = this.blockchain.web3.utils.fromWei(balanceIncrease.toString(), 'ether');
                     
-                    this.logger.success(`Bridge completed! Received ${Number(increaseEth).toFixed(4)} FHE`);
+                    this.logger.success(`Bridge completed! Received ${Number(increaseEth).toFixed(4)} ${this.blockchain.getNetwork(this.networks.target).currency}`);
                     return true;
                 }
                 
@@ -171,9 +206,6 @@ class Bridge extends BaseOperation {
      */
     async executeOperations() {
         try {
-            // Reset nonce tracking at the start of operations
-            this.blockchain.resetNonce('sepolia');
-            
             // Get repeat count from config
             const repeat_times = this.configManager.getRepeatTimes('bridge', 1);
             
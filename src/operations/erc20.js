@@ -11,10 +11,10 @@ class ERC20Token extends BaseOperation {
     /**
      * Create a new ERC20Token instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      */
-    constructor(privateKey, config = {}) {
+    constructor(signer, config = {}) {
         // Define default config
         const defaultConfig = {
             enabled: true,
@@ -27,7 +27,7 @@ class ERC20Token extends BaseOperation {
         };
         
         // Initialize base class
-        super(privateKey, config, 'erc20');
+        super(signer, config, 'erc20');
         
         // Override default config
         this.defaultConfig = defaultConfig;
@@ -76,6 +76,33 @@ class ERC20Token extends BaseOperation {
         return BigInt(amount) * BigInt(10) ** BigInt(decimals);
     }
     
+    /**
+     * Estimate the deployment, mint and burn of the coming cycle
+     * The template is compiled under a fixed contract name, so the estimate reuses one cached compilation
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle({ callGas }) {
+        const tokenName = this.generateRandomTokenName();
+        const solContractName = constants.ERC20.ESTIMATE_CONTRACT_NAME;
+        const decimals = this.configManager.getNumber('operations.erc20.decimals',
+                        this.configManager.getNumber('erc20.decimals', 18));
+        
+        const contractSource = constants.ERC20.CONTRACT_TEMPLATE.replace(/{{CONTRACT_NAME}}/g, solContractName);
+        const compiledContract = await this.contractManager.compileContract(solContractName, contractSource);
+        const deployGas = await this.contractManager.estimateDeploymentGas(
+            compiledContract,
+            [tokenName, this.generateTokenSymbol(tokenName), decimals]
+        );
+        
+        const burnPercentage = this.configManager.getNumber('operations.erc20.burn_percentage',
+                              this.configManager.getNumber('erc20.burn_percentage', 10));
+        const calls = burnPercentage > 0 ? BigInt(2) : BigInt(1);
+        
+        return { setupGas: BigInt(deployGas) + calls * callGas };
+    }
+    
     /**
      * Implement the executeOperations method from BaseOperation
      * 
@@ -95,9 +122,14 @@ class ERC20Token extends BaseOperation {
             // Format contract name for Solidity
             const solContractName = tokenName.replace(/[^a-zA-Z0-9]/g, '');
             
-            // Compile token contract
+            // Compile token contract, outside the cache as its name is never compiled again
             const contractSource = constants.ERC20.CONTRACT_TEMPLATE.replace(/{{CONTRACT_NAME}}/g, solContractName);
-            const compiledContract = await this.contractManager.compileContract(solContractName, contractSource);
+            const compiledContract = await this.contractManager.compileContract(
+                solContractName,
+                contractSource,
+                null,
+                { cache: false }
+            );
             
             // Add random delay before deployment
             await this.addDelay("ERC20 contract deployment");
@@ -149,7 +181,7 @@ class ERC20Token extends BaseOperation {
             this.logger.success(`ERC20 token operations completed!`);
             this.logger.success(`Contract address: ${deployedContract.contractAddress}`);
             this.logger.success(`Token: ${tokenName} (${symbol})`);
-            this.logger.success(`View contract: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+            this.logger.success(`View contract: ${this.blockchain.getExplorerUrl('address', deployedContract.contractAddress)}`);
             
             return true;
         } catch (error) {
@@ -12,10 +12,10 @@ class NFT extends BaseOperation {
     /**
      * Create a new NFT instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      */
-    constructor(privateKey, config = {}) {
+    constructor(signer, config = {}) {
         // Define default config
         const defaultConfig = {
             enabled: true,
@@ -31,7 +31,7 @@ class NFT extends BaseOperation {
         };
         
         // Initialize base class
-        super(privateKey, config, 'nft');
+        super(signer, config, 'nft');
         
         // Override default config
         this.defaultConfig = defaultConfig;
@@ -108,6 +108,49 @@ class NFT extends BaseOperation {
         return `data:application/json;base64,${Buffer.from(JSON.stringify(metadata)).toString('base64')}`;
     }
     
+    /**
+     * Estimate the deployment, mints and burns of the coming cycle, one unit per minted token
+     * The template is compiled under a fixed contract name, so the estimate reuses one cached compilation
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle({ callGas }) {
+        const collectionName = this.generateRandomNFTName();
+        const solContractName = constants.NFT.ESTIMATE_CONTRACT_NAME;
+        const supply = this.configManager.getRange('nft', 'supply', 100, 1000).max;
+        
+        const contractSource = constants.NFT.CONTRACT_TEMPLATE.replace(/{{CONTRACT_NAME}}/g, solContractName);
+        const compiledContract = await this.contractManager.compileContract(
+            solContractName,
+            contractSource,
+            'NFTContract.sol'
+        );
+        const setupGas = await this.contractManager.estimateDeploymentGas(
+            compiledContract,
+            [collectionName, this.generateRandomNFTSymbol(collectionName), supply]
+        );
+        
+        const mintCount = this.configManager.getRandomInRange('nft', 'mint_count', 2, 10);
+        this.pinRange('mint_count', mintCount);
+        
+        // Every mint, plus its share of the burns
+        const burnPercentage = this.configManager.getNumber('operations.nft.burn_percentage',
+                           this.configManager.getNumber('nft.burn_percentage', 20));
+        const unitGas = callGas + (callGas * BigInt(Math.ceil(burnPercentage)) + BigInt(99)) / BigInt(100);
+        
+        return { setupGas, units: mintCount, unitGas };
+    }
+    
+    /**
+     * Mint at most this many tokens in the coming cycle
+     * 
+     * @param {number} units - Number of tokens
+     */
+    limitUnits(units) {
+        this.pinRange('mint_count', units);
+    }
+    
     /**
      * Implement the executeOperations method from BaseOperation
      * 
@@ -128,12 +171,13 @@ class NFT extends BaseOperation {
             // Format contract name for Solidity
             const solContractName = collectionName.replace(/[^a-zA-Z0-9]/g, '');
             
-            // Compile NFT contract
+            // Compile NFT contract, outside the cache as its name is never compiled again
             const contractSource = constants.NFT.CONTRACT_TEMPLATE.replace(/{{CONTRACT_NAME}}/g, solContractName);
             const compiledContract = await this.contractManager.compileContract(
                 solContractName, 
                 contractSource,
-                'NFTContract.sol'
+                'NFTContract.sol',
+                { cache: false }
             );
             
             // Add random delay before deployment
@@ -152,7 +196,7 @@ class NFT extends BaseOperation {
             
             this.logger.success(`NFT operations completed successfully!`);
             this.logger.success(`Contract address: ${deployedContract.contractAddress}`);
-            this.logger.success(`View collection: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+            this.logger.success(`View collection: ${this.blockchain.getExplorerUrl('address', deployedContract.contractAddress)}`);
             
             return true;
         } catch (error) {
@@ -11,10 +11,10 @@ class NormalContract extends BaseOperation {
     /**
      * Create a new NormalContract instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      */
-    constructor(privateKey, config = {}) {
+    constructor(signer, config = {}) {
         // Define default config
         const defaultConfig = {
             enabled: true,
@@ -29,7 +29,7 @@ class NormalContract extends BaseOperation {
         };
         
         // Initialize base class
-        super(privateKey, config, 'contract_deploy');
+        super(signer, config, 'contract_deploy');
         
         // Override default config
         this.defaultConfig = defaultConfig;
@@ -38,6 +38,49 @@ class NormalContract extends BaseOperation {
         this.contractManager = new ContractManager(this.blockchain, config);
     }
     
+    /**
+     * Estimate the deployment and interactions of the coming cycle, one unit per interaction
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle({ callGas }) {
+        const compiledContract = await this.contractManager.compileOperationContract(
+            this.operationName,
+            'InteractiveContract',
+            constants.CONTRACT.SAMPLE_CONTRACT_SOURCE,
+            'Contract.sol'
+        );
+        const setupGas = await this.contractManager.estimateDeploymentGas(compiledContract, []);
+        
+        if (!this.configManager.getBoolean('operations.contract_deploy.interactions.enabled',
+             this.configManager.getBoolean('contract_deploy.interactions.enabled', true))) {
+            return { setupGas };
+        }
+        
+        const interactionCount = this.configManager.getRandomInRange('contract_deploy', 'interactions.count', 3, 8);
+        this.pinRange('interactions.count', interactionCount);
+        
+        const interactionTypes = this.configManager.getArray(
+            'operations.contract_deploy.interactions.types',
+            this.configManager.getArray('contract_deploy.interactions.types', ["setValue", "increment", "decrement", "reset", "contribute"])
+        );
+        
+        // Assume every interaction could be a contribution
+        const unitValue = interactionTypes.includes('contribute') ? this.blockchain.web3.utils.toWei('0.00001', 'ether') : 0;
+        
+        return { setupGas, units: interactionCount, unitGas: callGas, unitValue };
+    }
+    
+    /**
+     * Run at most this many interactions in the coming cycle
+     * 
+     * @param {number} units - Number of interactions
+     */
+    limitUnits(units) {
+        this.pinRange('interactions.count', units);
+    }
+    
     /**
      * Implement the executeOperations method from BaseOperation
      * 
@@ -47,7 +90,8 @@ class NormalContract extends BaseOperation {
         try {
             // Step 1: Compile the contract
             this.logger.info(`Compiling smart contract...`);
-            const compiledContract = await this.contractManager.compileContract(
+            const compiledContract = await this.contractManager.compileOperationContract(
+                this.operationName,
                 'InteractiveContract', 
                 constants.CONTRACT.SAMPLE_CONTRACT_SOURCE,
                 'Contract.sol'
@@ -0,0 +1,335 @@
+// src/operations/randomcontract.js
+const constants = require('../utils/constants');
+const { pickRandom } = require('../utils/random');
+const BaseOperation = require('./BaseOperation');
+const ContractManager = require('../managers/ContractManager');
+
+/**
+ * Manages deployment of and interaction with randomly generated contracts
+ * @extends BaseOperation
+ */
+class RandomContract extends BaseOperation {
+    /**
+     * Create a new RandomContract instance
+     * 
+     * @param {BaseSigner} signer - Wallet signer
+     * @param {Object} config - Configuration object
+     */
+    constructor(signer, config = {}) {
+        // Define default config
+        const defaultConfig = {
+            enabled: true,
+            max_gas: 3000000,
+            repeat_times: 1
+        };
+        
+        // Initialize base class
+        super(signer, config, 'random_contract');
+        
+        // Override default config
+        this.defaultConfig = defaultConfig;
+        
+        // Initialize contract manager
+        this.contractManager = new ContractManager(this.blockchain, config);
+    }
+    
+    /**
+     * Generate a random contract name
+     * 
+     * @returns {string} Solidity-safe contract name
+     */
+    generateContractName() {
+        const prefix = pickRandom(constants.RANDOM_CONTRACT.NAME_PREFIXES);
+        const suffix = pickRandom(constants.RANDOM_CONTRACT.NAME_SUFFIXES);
+        return `${prefix}${suffix}`;
+    }
+    
+    /**
+     * Generate a random set of state variables
+     * 
+     * @param {number} maxVariables - Maximum number of variables to generate
+     * @returns {Array} Array of { name, type } variable descriptors
+     */
+    generateVariables(maxVariables) {
+        const { VARIABLE_NAMES, VARIABLE_TYPES, MIN_VARIABLES } = constants.RANDOM_CONTRACT;
+        const count = Math.floor(Math.random() * (maxVariables - MIN_VARIABLES + 1)) + MIN_VARIABLES;
+        
+        // Shuffle names so each variable is unique
+        const names = [...VARIABLE_NAMES].sort(() => Math.random() - 0.5).slice(0, count);
+        
+        return names.map(name => ({
+            name,
+            type: pickRandom(VARIABLE_TYPES)
+        }));
+    }
+    
+    /**
+     * Build the Solidity members (declaration, event and functions) for a state variable
+     * 
+     * @param {Object} variable - Variable descriptor
+     * @returns {Object} Solidity snippets and callable function descriptors
+     */
+    buildVariableMembers(variable) {
+        const { name, type } = variable;
+        const capitalized = name.charAt(0).toUpperCase() + name.slice(1);
+        const eventName = `${capitalized}Changed`;
+        
+        const declaration = `${type} public ${name};`;
+        const event = `event ${eventName}(address indexed by, ${type} newValue);`;
+        const functions = [];
+        const callables = [];
+        
+        // Every generated function records the interaction and emits the variable event
+        const body = (assignment) => `
+            function ${assignment.fn} {
+                ${assignment.statement}
+                interactionCount++;
+                lastAction = "${assignment.label}";
+                emit ${eventName}(msg.sender, ${name});
+            }`;
+        
+        switch (type) {
+            case 'uint256':
+                functions.push(body({ fn: `set${capitalized}(uint256 _value) public`, statement: `${name} = _value;`, label: `set${capitalized}` }));
+                functions.push(body({ fn: `increase${capitalized}(uint256 _amount) public`, statement: `${name} += _amount;`, label: `increase${capitalized}` }));
+                callables.push({ name: `set${capitalized}`, argsGenerator: () => [Math.floor(Math.random() * 1000000)] });
+                callables.push({ name: `increase${capitalized}`, argsGenerator: () => [Math.floor(Math.random() * 1000) + 1] });
+                break;
+            case 'bool':
+                functions.push(body({ fn: `toggle${capitalized}() public`, statement: `${name} = !${name};`, label: `toggle${capitalized}` }));
+                callables.push({ name: `toggle${capitalized}`, argsGenerator: () => [] });
+                break;
+            case 'string':
+                functions.push(body({ fn: `set${capitalized}(string memory _value) public`, statement: `${name} = _value;`, label: `set${capitalized}` }));
+                callables.push({
+                    name: `set${capitalized}`,
+                    argsGenerator: () => [`${pickRandom(constants.RANDOM_CONTRACT.NAME_PREFIXES)}-${Math.floor(Math.random() * 10000)}`]
+                });
+                break;
+            case 'address':
+                functions.push(body({ fn: `claim${capitalized}() public`, statement: `${name} = msg.sender;`, label: `claim${capitalized}` }));
+                callables.push({ name: `claim${capitalized}`, argsGenerator: () => [] });
+                break;
+        }
+        
+        return { declaration, event, functions, callables };
+    }
+    
+    /**
+     * Generate a random compilable contract
+     * 
+     * @param {number} maxVariables - Maximum number of state variables
+     * @returns {Object} Contract name, Solidity source and callable functions
+     */
+    generateContract(maxVariables = constants.RANDOM_CONTRACT.MAX_VARIABLES) {
+        const contractName = this.generateContractName();
+        const variables = this.generateVariables(maxVariables);
+        const members = variables.map(variable => this.buildVariableMembers(variable));
+        
+        const source = `
+        // SPDX-License-Identifier: MIT
+        pragma solidity >=0.8.0 <0.9.0;
+        
+        contract ${contractName} {
+            address public owner;
+            uint256 public interactionCount;
+            string public lastAction;
+            ${members.map(m => m.declaration).join('\n            ')}
+            
+            ${members.map(m => m.event).join('\n            ')}
+            
+            constructor() {
+                owner = msg.sender;
+                interactionCount = 0;
+                lastAction = "Contract created";
+            }
+            ${members.map(m => m.functions.join('\n')).join('\n')}
+            
+            function getStats() public view returns (uint256, string memory) {
+                return (interactionCount, lastAction);
+            }
+        }
+        `;
+        
+        return {
+            contractName,
+            source,
+            variables,
+            callables: members.flatMap(m => m.callables)
+        };
+    }
+    
+    /**
+     * Generate and compile a contract whose deployment fits within the configured gas limit
+     * 
+     * @param {number} maxGas - Maximum gas allowed for deployment
+     * @returns {Promise<Object|null>} Generated contract with compiled output, or null if none fits
+     */
+    async prepareContract(maxGas) {
+        const maxAttempts = 3;
+        let maxVariables = constants.RANDOM_CONTRACT.MAX_VARIABLES;
+        
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const generated = this.generateContract(maxVariables);
+            
+            this.logger.info(`Generated ${generated.contractName} with ${generated.variables.length} state variables and ${generated.callables.length} functions`);
+            
+            const compiledContract = await this.contractManager.compileContract(
+                generated.contractName,
+                generated.source,
+                `${generated.contractName}.sol`,
+                { cache: false }
+            );
+            
+            // Check the deployment gas against the configured limit
+            const deployGas = await this.blockchain.estimateGas({
+                from: this.blockchain.address,
+                data: this.contractManager.encodeDeployment(compiledContract, [])
+            });
+            
+            if (deployGas <= maxGas) {
+                return { ...generated, compiledContract };
+            }
+            
+            this.logger.warn(`Deployment gas ${deployGas} exceeds max_gas ${maxGas} (attempt ${attempt}/${maxAttempts})`);
+            maxVariables = Math.max(constants.RANDOM_CONTRACT.MIN_VARIABLES, maxVariables - 2);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Call every generated function once, in random order
+     * 
+     * @param {Object} deployedContract - Deployed contract info
+     * @param {Array} callables - Callable function descriptors
+     * @returns {Promise<number>} Number of successful calls
+     */
+    async exerciseFunctions(deployedContract, callables) {
+        const shuffled = [...callables].sort(() => Math.random() - 0.5);
+        
+        this.logger.info(`Will call ${shuffled.length} generated functions...`);
+        
+        let successCount = 0;
+        for (let i = 0; i < shuffled.length; i++) {
+            const callable = shuffled[i];
+            const args = callable.argsGenerator();
+            
+            this.logger.info(`Calling ${callable.name}(${args.join(', ')}) (${i + 1}/${shuffled.length})...`);
+            
+            const result = await this.contractManager.callContractMethod(
+                deployedContract.contractAddress,
+                deployedContract.abi,
+                callable.name,
+                args
+            );
+            
+            if (result.success) {
+                this.logger.success(`${callable.name} successful`);
+                successCount++;
+            } else {
+                this.logger.error(`${callable.name} failed: ${result.error}`);
+            }
+        }
+        
+        // Read back the interaction stats
+        const statsResult = await this.contractManager.callViewMethod(
+            deployedContract.contractAddress,
+            deployedContract.abi,
+            'getStats',
+            []
+        );
+        
+        if (statsResult.success) {
+            this.logger.info(`Contract stats - Interactions: ${statsResult.result[0]}, Last action: ${statsResult.result[1]}`);
+        }
+        
+        return successCount;
+    }
+    
+    /**
+     * Generate, deploy and exercise a single random contract
+     * 
+     * @param {number} maxGas - Maximum gas allowed for deployment
+     * @returns {Promise<boolean>} Success status
+     */
+    async deployRandomContract(maxGas) {
+        try {
+            const prepared = await this.prepareContract(maxGas);
+            
+            if (!prepared) {
+                this.logger.error(`Could not generate a contract within max_gas ${maxGas}`);
+                return false;
+            }
+            
+            // Add random delay before deployment
+            await this.addDelay("random contract deployment");
+            
+            const deployedContract = await this.contractManager.deployContract(
+                prepared.compiledContract,
+                [],
+                prepared.contractName
+            );
+            
+            const successCount = await this.exerciseFunctions(deployedContract, prepared.callables);
+            
+            this.logger.success(`${prepared.contractName}: ${successCount}/${prepared.callables.length} successful function calls`);
+            this.logger.success(`View contract: ${this.blockchain.getExplorerUrl('address', deployedContract.contractAddress)}`);
+            
+            return true;
+        } catch (error) {
+            this.logger.error(`Error in random contract deployment: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Estimate the random contracts of the coming cycle, one unit per contract
+     * Each unit is an upper bound: max_gas for the deployment and two calls per state variable
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle({ callGas }) {
+        const maxGas = this.configManager.getNumber('operations.random_contract.max_gas',
+                       this.configManager.getNumber('random_contract.max_gas', 3000000));
+        const maxCalls = BigInt(constants.RANDOM_CONTRACT.MAX_VARIABLES * 2);
+        
+        return {
+            units: this.configManager.getRepeatTimes('random_contract', 1),
+            unitGas: BigInt(maxGas) + maxCalls * callGas
+        };
+    }
+    
+    /**
+     * Implement the executeOperations method from BaseOperation
+     * 
+     * @returns {Promise<boolean>} Success status
+     */
+    async executeOperations() {
+        const maxGas = this.configManager.getNumber('operations.random_contract.max_gas',
+                       this.configManager.getNumber('random_contract.max_gas', 3000000));
+        const repeatTimes = this.configManager.getRepeatTimes('random_contract', 1);
+        
+        this.logger.info(`Will deploy ${repeatTimes} random contract(s) with max gas ${maxGas}`);
+        
+        let successCount = 0;
+        for (let i = 0; i < repeatTimes; i++) {
+            this.logger.info(`Random contract ${i + 1}/${repeatTimes}`);
+            
+            if (await this.deployRandomContract(maxGas)) {
+                successCount++;
+            }
+            
+            // Add delay between repeat cycles if not the last one
+            if (i < repeatTimes - 1) {
+                await this.addDelay(`next random contract (${i + 2}/${repeatTimes})`);
+            }
+        }
+        
+        this.logger.success(`Random contract operations completed: ${successCount}/${repeatTimes} successful deployments`);
+        return successCount > 0;
+    }
+}
+
+module.exports = RandomContract;
\ No newline at end of file
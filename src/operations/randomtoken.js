@@ -0,0 +1,399 @@
+// src/operations/randomtoken.js
+const constants = require('../utils/constants');
+const { pickRandom } = require('../utils/random');
+const BaseOperation = require('./BaseOperation');
+const ContractManager = require('../managers/ContractManager');
+
+/**
+ * Manages deployment of ERC20 tokens with randomized features
+ * @extends BaseOperation
+ */
+class RandomToken extends BaseOperation {
+    /**
+     * Create a new RandomToken instance
+     * 
+     * @param {BaseSigner} signer - Wallet signer
+     * @param {Object} config - Configuration object
+     */
+    constructor(signer, config = {}) {
+        // Define default config
+        const defaultConfig = {
+            enabled: true,
+            max_gas: 3000000,
+            supply: {
+                min: 1000000,
+                max: 10000000
+            },
+            repeat_times: 1
+        };
+        
+        // Initialize base class
+        super(signer, config, 'random_token');
+        
+        // Override default config
+        this.defaultConfig = defaultConfig;
+        
+        // Initialize contract manager
+        this.contractManager = new ContractManager(this.blockchain, config);
+    }
+    
+    /**
+     * Generate random token name
+     * 
+     * @returns {string} Random token name
+     */
+    generateRandomTokenName() {
+        const prefix = pickRandom(constants.ERC20.TOKEN_NAME_PREFIXES);
+        const suffix = pickRandom(constants.ERC20.TOKEN_NAME_SUFFIXES);
+        return `${prefix} ${suffix}`;
+    }
+    
+    /**
+     * Generate token symbol from name
+     * 
+     * @param {string} name - Token name
+     * @returns {string} Token symbol
+     */
+    generateTokenSymbol(name) {
+        const symbol = name.split(' ')
+            .map(word => word.charAt(0).toUpperCase())
+            .join('');
+        
+        // Add a random digit so tokens with the same initials remain distinguishable
+        return `${symbol}${Math.floor(Math.random() * 10)}`;
+    }
+    
+    /**
+     * Format token amount with decimals
+     * 
+     * @param {number|BigInt} amount - Token amount
+     * @param {number} decimals - Decimal places
+     * @returns {BigInt} Formatted amount
+     */
+    formatTokenAmount(amount, decimals) {
+        return BigInt(amount) * BigInt(10) ** BigInt(decimals);
+    }
+    
+    /**
+     * Pick a random feature set for a token
+     * 
+     * @returns {Object} Feature flags, decimals and initial supply
+     */
+    generateFeatures() {
+        const features = {};
+        constants.RANDOM_TOKEN.FEATURES.forEach(feature => {
+            features[feature] = Math.random() < 0.5;
+        });
+        
+        return {
+            ...features,
+            decimals: pickRandom(constants.RANDOM_TOKEN.DECIMALS_OPTIONS),
+            initialSupply: this.configManager.getRandomInRange('random_token', 'supply', 1000000, 10000000)
+        };
+    }
+    
+    /**
+     * Remove a function definition from Solidity source
+     * 
+     * @param {string} source - Solidity source code
+     * @param {string} functionName - Function to remove
+     * @returns {string} Source without the function
+     */
+    removeFunction(source, functionName) {
+        const start = source.indexOf(`function ${functionName}(`);
+        if (start === -1) return source;
+        
+        // Walk braces from the function body opening to its matching close
+        let depth = 0;
+        let end = source.indexOf('{', start);
+        for (; end < source.length; end++) {
+            if (source[end] === '{') depth++;
+            if (source[end] === '}' && --depth === 0) break;
+        }
+        
+        // Remove the whole line block including leading indentation
+        const lineStart = source.lastIndexOf('\n', start) + 1;
+        return source.slice(0, lineStart) + source.slice(end + 2);
+    }
+    
+    /**
+     * Build token source from the ERC20 template according to a feature set
+     * 
+     * @param {string} contractName - Solidity contract name
+     * @param {Object} features - Feature flags
+     * @returns {string} Solidity source code
+     */
+    buildTokenSource(contractName, features) {
+        let source = constants.ERC20.CONTRACT_TEMPLATE.replace(/{{CONTRACT_NAME}}/g, contractName);
+        
+        // Mint the initial supply to the deployer
+        source = source
+            .replace(
+                'constructor(string memory _name, string memory _symbol, uint8 _decimals)',
+                'constructor(string memory _name, string memory _symbol, uint8 _decimals, uint256 _initialSupply)'
+            )
+            .replace(
+                'totalSupply = 0;',
+                `totalSupply = _initialSupply;
+                _balances[msg.sender] = _initialSupply;
+                emit Transfer(address(0), msg.sender, _initialSupply);`
+            );
+        
+        if (!features.mintable) {
+            source = this.removeFunction(source, 'mint');
+        }
+        
+        if (!features.burnable) {
+            source = this.removeFunction(source, 'burn');
+        }
+        
+        if (features.pausable) {
+            source = source.replace(
+                'function _transfer(address from, address to, uint256 amount) internal {',
+                `function _transfer(address from, address to, uint256 amount) internal {
+                require(!paused, "Token transfers are paused");`
+            );
+            
+            // Append pause state and controls before the closing contract brace
+            const closingBrace = source.lastIndexOf('}');
+            source = source.slice(0, closingBrace) + `
+            bool public paused;
+            
+            event Paused(address account);
+            event Unpaused(address account);
+            
+            function pause() public onlyOwner {
+                require(!paused, "Already paused");
+                paused = true;
+                emit Paused(msg.sender);
+            }
+            
+            function unpause() public onlyOwner {
+                require(paused, "Not paused");
+                paused = false;
+                emit Unpaused(msg.sender);
+            }
+        ` + source.slice(closingBrace);
+        }
+        
+        return source;
+    }
+    
+    /**
+     * Describe a feature set for logging
+     * 
+     * @param {Object} features - Feature flags
+     * @returns {string} Human readable feature list
+     */
+    describeFeatures(features) {
+        const enabled = constants.RANDOM_TOKEN.FEATURES.filter(feature => features[feature]);
+        return enabled.length > 0 ? enabled.join(', ') : 'none';
+    }
+    
+    /**
+     * Call a token method and log the outcome
+     * 
+     * @param {Object} deployedContract - Deployed contract info
+     * @param {string} methodName - Method to call
+     * @param {Array} args - Method arguments
+     * @param {string} description - Description for logging
+     * @returns {Promise<boolean>} Success status
+     */
+    async callTokenMethod(deployedContract, methodName, args, description) {
+        this.logger.info(`${description}...`);
+        
+        const result = await this.contractManager.callContractMethod(
+            deployedContract.contractAddress,
+            deployedContract.abi,
+            methodName,
+            args
+        );
+        
+        if (result.success) {
+            this.logger.success(`${description} successful`);
+            return true;
+        }
+        
+        this.logger.error(`${description} failed: ${result.error}`);
+        return false;
+    }
+    
+    /**
+     * Run transfers, approvals and feature-specific calls on a deployed token
+     * 
+     * @param {Object} deployedContract - Deployed contract info
+     * @param {Object} token - Token details and features
+     * @returns {Promise<Object>} Counts of successful and attempted calls
+     */
+    async exerciseToken(deployedContract, token) {
+        const { symbol, decimals, initialSupply } = token;
+        const recipient = this.blockchain.web3.eth.accounts.create().address;
+        const spender = this.blockchain.web3.eth.accounts.create().address;
+        
+        // Transfer a small percentage of the supply to a fresh address
+        const { MIN, MAX } = constants.RANDOM_TOKEN.TRANSFER_PERCENTAGE;
+        const transferPercentage = Math.floor(Math.random() * (MAX - MIN + 1)) + MIN;
+        const transferAmount = Math.max(1, Math.floor(initialSupply * transferPercentage / 100));
+        const approveAmount = transferAmount * 2;
+        
+        const calls = [
+            ['transfer', [recipient, this.formatTokenAmount(transferAmount, decimals).toString()],
+                `Transfer ${transferAmount.toLocaleString()} ${symbol} to ${recipient}`],
+            ['approve', [spender, this.formatTokenAmount(approveAmount, decimals).toString()],
+                `Approve ${approveAmount.toLocaleString()} ${symbol} for ${spender}`],
+            ['increaseAllowance', [spender, this.formatTokenAmount(transferAmount, decimals).toString()],
+                `Increase allowance by ${transferAmount.toLocaleString()} ${symbol}`]
+        ];
+        
+        if (token.mintable) {
+            calls.push(['mint', [this.blockchain.address, this.formatTokenAmount(transferAmount, decimals).toString()],
+                `Mint ${transferAmount.toLocaleString()} ${symbol}`]);
+        }
+        
+        if (token.burnable) {
+            calls.push(['burn', [this.formatTokenAmount(transferAmount, decimals).toString()],
+                `Burn ${transferAmount.toLocaleString()} ${symbol}`]);
+        }
+        
+        if (token.pausable) {
+            calls.push(['pause', [], `Pause ${symbol} transfers`]);
+            calls.push(['unpause', [], `Unpause ${symbol} transfers`]);
+        }
+        
+        let successCount = 0;
+        for (const [methodName, args, description] of calls) {
+            if (await this.callTokenMethod(deployedContract, methodName, args, description)) {
+                successCount++;
+            }
+        }
+        
+        return { successCount, total: calls.length };
+    }
+    
+    /**
+     * Generate, deploy and exercise a single random token
+     * 
+     * @param {number} maxGas - Maximum gas allowed for deployment
+     * @returns {Promise<Object|null>} Deployment report or null on failure
+     */
+    async deployRandomToken(maxGas) {
+        try {
+            const name = this.generateRandomTokenName();
+            const symbol = this.generateTokenSymbol(name);
+            const features = this.generateFeatures();
+            const solContractName = name.replace(/[^a-zA-Z0-9]/g, '');
+            
+            this.logger.info(`Token: ${name} (${symbol})`);
+            this.logger.info(`Decimals: ${features.decimals}, initial supply: ${features.initialSupply.toLocaleString()}`);
+            this.logger.info(`Features: ${this.describeFeatures(features)}`);
+            
+            const compiledContract = await this.contractManager.compileContract(
+                solContractName,
+                this.buildTokenSource(solContractName, features),
+                null,
+                { cache: false }
+            );
+            
+            const constructorArgs = [
+                name,
+                symbol,
+                features.decimals,
+                this.formatTokenAmount(features.initialSupply, features.decimals).toString()
+            ];
+            
+            // Check the deployment gas against the configured limit
+            const deployGas = await this.blockchain.estimateGas({
+                from: this.blockchain.address,
+                data: this.contractManager.encodeDeployment(compiledContract, constructorArgs)
+            });
+            
+            if (deployGas > maxGas) {
+                this.logger.error(`Deployment gas ${deployGas} exceeds max_gas ${maxGas}`);
+                return null;
+            }
+            
+            // Add random delay before deployment
+            await this.addDelay("random token deployment");
+            
+            const deployedContract = await this.contractManager.deployContract(
+                compiledContract,
+                constructorArgs,
+                "random token"
+            );
+            
+            const token = { name, symbol, ...features };
+            const { successCount, total } = await this.exerciseToken(deployedContract, token);
+            
+            return {
+                ...token,
+                contractAddress: deployedContract.contractAddress,
+                successCount,
+                total
+            };
+        } catch (error) {
+            this.logger.error(`Error in random token deployment: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Estimate the random tokens of the coming cycle, one unit per token
+     * Each unit is an upper bound: max_gas for the deployment and every call a token with all features gets
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle({ callGas }) {
+        const maxGas = this.configManager.getNumber('operations.random_token.max_gas',
+                       this.configManager.getNumber('random_token.max_gas', 3000000));
+        
+        // transfer, approve, increaseAllowance, mint, burn, pause and unpause
+        const maxCalls = BigInt(7);
+        
+        return {
+            units: this.configManager.getRepeatTimes('random_token', 1),
+            unitGas: BigInt(maxGas) + maxCalls * callGas
+        };
+    }
+    
+    /**
+     * Implement the executeOperations method from BaseOperation
+     * 
+     * @returns {Promise<boolean>} Success status
+     */
+    async executeOperations() {
+        const maxGas = this.configManager.getNumber('operations.random_token.max_gas',
+                       this.configManager.getNumber('random_token.max_gas', 3000000));
+        const repeatTimes = this.configManager.getRepeatTimes('random_token', 1);
+        
+        this.logger.info(`Will deploy ${repeatTimes} random token(s) with max gas ${maxGas}`);
+        
+        const deployments = [];
+        for (let i = 0; i < repeatTimes; i++) {
+            this.logger.info(`Random token ${i + 1}/${repeatTimes}`);
+            
+            const deployment = await this.deployRandomToken(maxGas);
+            if (deployment) {
+                deployments.push(deployment);
+            }
+            
+            // Add delay between repeat cycles if not the last one
+            if (i < repeatTimes - 1) {
+                await this.addDelay(`next random token (${i + 2}/${repeatTimes})`);
+            }
+        }
+        
+        // Report every deployment with its chosen feature set
+        this.logger.success(`Random token operations completed: ${deployments.length}/${repeatTimes} successful deployments`);
+        for (const deployment of deployments) {
+            this.logger.success(`- ${deployment.name} (${deployment.symbol}) at ${deployment.contractAddress}`);
+            this.logger.success(`  Decimals: ${deployment.decimals}, supply: ${deployment.initialSupply.toLocaleString()}, features: ${this.describeFeatures(deployment)}`);
+            this.logger.success(`  Interactions: ${deployment.successCount}/${deployment.total} successful`);
+            this.logger.success(`  View contract: ${this.blockchain.getExplorerUrl('address', deployment.contractAddress)}`);
+        }
+        
+        return deployments.length > 0;
+    }
+}
+
+module.exports = RandomToken;
\ No newline at end of file
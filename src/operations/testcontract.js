@@ -2,6 +2,7 @@
 const constants = require('../utils/constants');
 const BaseOperation = require('./BaseOperation');
 const ContractManager = require('../managers/ContractManager');
+const { ERROR_CATEGORIES } = require('../utils/errorClassifier');
 
 /**
  * Manages contract testing operations
@@ -11,10 +12,10 @@ class TestContract extends BaseOperation {
     /**
      * Create a new TestContract instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      */
-    constructor(privateKey, config = {}) {
+    constructor(signer, config = {}) {
         // Define default config
         const defaultConfig = {
             enabled: true,
@@ -22,11 +23,12 @@ class TestContract extends BaseOperation {
             iterations: {
                 min: 3,
                 max: 10
-            }
+            },
+            pipelined: false
         };
         
         // Initialize base class
-        super(privateKey, config, 'contract_testing');
+        super(signer, config, 'contract_testing');
         
         // Override default config
         this.defaultConfig = defaultConfig;
@@ -63,6 +65,75 @@ class TestContract extends BaseOperation {
         return testValues;
     }
     
+    /**
+     * Get the values used by the boundary tests
+     * 
+     * @returns {Array} Boundary test values
+     */
+    getBoundaryValues() {
+        return [
+            0, // Zero
+            1, // One
+            2**16 - 1, // 16-bit max (65535)
+            2**16, // 16-bit max + 1
+            2**32 - 1, // 32-bit max
+            2**32, // 32-bit max + 1
+            2**48 - 1, // 48-bit max
+            2**48, // 48-bit max + 1
+            Number.MAX_SAFE_INTEGER // JS safe integer max
+        ];
+    }
+    
+    /**
+     * Estimate the deployment and test sequences of the coming cycle, one unit per iteration
+     * Boundary tests and the stress test base value are fixed calls; parameter variation and
+     * stress tests send one call per iteration each
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle({ callGas }) {
+        const compiledContract = await this.contractManager.compileOperationContract(
+            this.operationName,
+            'ParameterTesterContract',
+            constants.CONTRACT_TESTING.TEST_CONTRACT_SOURCE,
+            'ParameterTesterContract.sol'
+        );
+        const deployGas = await this.contractManager.estimateDeploymentGas(compiledContract, []);
+        
+        const testSequences = this.configManager.getArray(
+            'operations.contract_testing.test_sequences',
+            this.configManager.getArray(
+                'contract_testing.test_sequences',
+                ["parameter_variation", "stress_test", "boundary_test"]
+            )
+        );
+        
+        let fixedCalls = 0;
+        if (testSequences.includes('stress_test')) fixedCalls += 1;
+        if (testSequences.includes('boundary_test')) fixedCalls += this.getBoundaryValues().length;
+        
+        const iteratedSequences = testSequences.filter(sequence => sequence === 'parameter_variation' || sequence === 'stress_test').length;
+        
+        const iterations = this.configManager.getRandomInRange('contract_testing', 'iterations', 3, 10);
+        this.pinRange('iterations', iterations);
+        
+        return {
+            setupGas: BigInt(deployGas) + BigInt(fixedCalls) * callGas,
+            units: iteratedSequences > 0 ? iterations : 0,
+            unitGas: BigInt(iteratedSequences) * callGas
+        };
+    }
+    
+    /**
+     * Run at most this many iterations per test sequence in the coming cycle
+     * 
+     * @param {number} units - Number of iterations
+     */
+    limitUnits(units) {
+        this.pinRange('iterations', units);
+    }
+    
     /**
      * Implement the executeOperations method from BaseOperation
      * 
@@ -72,7 +143,8 @@ class TestContract extends BaseOperation {
         try {
             // Compile and deploy the test contract
             this.logger.info(`Compiling parameter tester contract...`);
-            const compiledContract = await this.contractManager.compileContract(
+            const compiledContract = await this.contractManager.compileOperationContract(
+                this.operationName,
                 'ParameterTesterContract', 
                 constants.CONTRACT_TESTING.TEST_CONTRACT_SOURCE, 
                 'ParameterTesterContract.sol'
@@ -133,7 +205,7 @@ class TestContract extends BaseOperation {
             // Summarize results
             this.logger.success(`Contract testing operations completed!`);
             this.logger.success(`Contract address: ${deployedContract.contractAddress}`);
-            this.logger.success(`View contract: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+            this.logger.success(`View contract: ${this.blockchain.getExplorerUrl('address', deployedContract.contractAddress)}`);
             this.logger.success(`Test results:`);
             
             for (const [sequence, result] of Object.entries(results)) {
@@ -262,44 +334,76 @@ class TestContract extends BaseOperation {
                 return false;
             }
             
-            // Now perform stress tests
+            // Pick the operations and their arguments up front
+            const steps = [];
             for (let i = 0; i < iterations; i++) {
-                // Select a random operation
                 const operation = operations[Math.floor(Math.random() * operations.length)];
+                steps.push({ operation, args: operation.argsGenerator() });
+            }
+            
+            const pipelined = this.configManager.getBoolean('operations.contract_testing.pipelined',
+                              this.configManager.getBoolean('contract_testing.pipelined', false));
+            
+            if (pipelined) {
+                // Broadcast every step with consecutive nonces, then collect the receipts
+                this.logger.info(`Pipelining ${iterations} stress test transactions...`);
                 
-                // Generate arguments for the operation
-                const args = operation.argsGenerator();
-                
-                // Add random delay before test
-                await this.addDelay(`stress test ${i+1}/${iterations}`);
+                const results = await this.contractManager.callContractMethods(
+                    contractAddress,
+                    abi,
+                    steps.map(({ operation, args }) => ({ methodName: operation.name, methodArgs: args }))
+                );
                 
-                this.logger.info(`Stress test: ${operation.name}(${args.join(', ')}) (${i+1}/${iterations})...`);
+                results.forEach((result, i) => {
+                    if (this.logStressTestResult(steps[i].operation, steps[i].args, result)) {
+                        successCount++;
+                    }
+                });
                 
-                // Call the operation through contract manager
-                const result = await this.contractManager.callContractMethod(
+                // Check the value once all steps are mined
+                const finalValueResult = await this.contractManager.callViewMethod(
                     contractAddress,
                     abi,
-                    operation.name,
-                    args
+                    'getValue',
+                    []
                 );
                 
-                if (result.success) {
-                    this.logger.success(`Stress test successful: ${operation.name}(${args.join(', ')})`);
-                    successCount++;
+                if (finalValueResult.success) {
+                    this.logger.info(`Value after pipelined stress test: ${finalValueResult.result}`);
+                }
+            } else {
+                // Now perform stress tests
+                for (let i = 0; i < iterations; i++) {
+                    const { operation, args } = steps[i];
                     
-                    // Check current value
-                    const currentValueResult = await this.contractManager.callViewMethod(
+                    // Add random delay before test
+                    await this.addDelay(`stress test ${i+1}/${iterations}`);
+                    
+                    this.logger.info(`Stress test: ${operation.name}(${args.join(', ')}) (${i+1}/${iterations})...`);
+                    
+                    // Call the operation through contract manager
+                    const result = await this.contractManager.callContractMethod(
                         contractAddress,
                         abi,
-                        'getValue',
-                        []
+                        operation.name,
+                        args
                     );
                     
-                    if (currentValueResult.success) {
-                        this.logger.info(`Current value after operation: ${currentValueResult.result}`);
+                    if (this.logStressTestResult(operation, args, result)) {
+                        successCount++;
+                        
+                        // Check current value
+                        const currentValueResult = await this.contractManager.callViewMethod(
+                            contractAddress,
+                            abi,
+                            'getValue',
+                            []
+                        );
+                        
+                        if (currentValueResult.success) {
+                            this.logger.info(`Current value after operation: ${currentValueResult.result}`);
+                        }
                     }
-                } else {
-                    this.logger.error(`Stress test failed for ${operation.name}(${args.join(', ')}): ${result.error}`);
                 }
             }
             
@@ -311,6 +415,30 @@ class TestContract extends BaseOperation {
         }
     }
     
+    /**
+     * Log the outcome of a single stress test transaction
+     * 
+     * @param {Object} operation - Stress test operation
+     * @param {Array} args - Arguments the operation was called with
+     * @param {Object} result - Transaction result
+     * @returns {boolean} True if the transaction succeeded
+     */
+    logStressTestResult(operation, args, result) {
+        if (result.success) {
+            this.logger.success(`Stress test successful: ${operation.name}(${args.join(', ')})`);
+            return true;
+        }
+        
+        if (result.category === ERROR_CATEGORIES.EXECUTION_REVERTED) {
+            // Reverts are an expected outcome of stress testing (e.g. subtracting below zero)
+            this.logger.warn(`Stress test reverted for ${operation.name}(${args.join(', ')}): ${result.details ? result.details.reason : result.error}`);
+        } else {
+            this.logger.error(`Stress test failed for ${operation.name}(${args.join(', ')}): ${result.error}`);
+        }
+        
+        return false;
+    }
+    
     /**
      * Execute boundary tests
      * 
@@ -322,18 +450,7 @@ class TestContract extends BaseOperation {
         try {
             this.logger.info(`Starting boundary tests...`);
             
-            // Define boundary test values
-            const boundaryValues = [
-                0, // Zero
-                1, // One
-                2**16 - 1, // 16-bit max (65535)
-                2**16, // 16-bit max + 1
-                2**32 - 1, // 32-bit max
-                2**32, // 32-bit max + 1
-                2**48 - 1, // 48-bit max
-                2**48, // 48-bit max + 1
-                Number.MAX_SAFE_INTEGER // JS safe integer max
-            ];
+            const boundaryValues = this.getBoundaryValues();
             
             this.logger.info(`Will test ${boundaryValues.length} boundary values...`);
             
@@ -1,6 +1,6 @@
 // src/operations/transfer.js
-const constants = require('../utils/constants');
 const BaseOperation = require('./BaseOperation');
+const { ERROR_CATEGORIES } = require('../utils/errorClassifier');
 
 /**
  * Manages token self-transfer operations
@@ -10,10 +10,10 @@ class TokenTransfer extends BaseOperation {
     /**
      * Create a new TokenTransfer instance
      * 
-     * @param {string} privateKey - Wallet private key
+     * @param {BaseSigner} signer - Wallet signer
      * @param {Object} config - Configuration object
      */
-    constructor(privateKey, config = {}) {
+    constructor(signer, config = {}) {
         // Define default config
         const defaultConfig = {
             enabled: true,
@@ -32,7 +32,7 @@ class TokenTransfer extends BaseOperation {
         };
         
         // Initialize base class
-        super(privateKey, config, 'transfer');
+        super(signer, config, 'transfer');
         
         // Override the default config
         this.defaultConfig = defaultConfig;
@@ -88,10 +88,48 @@ class TokenTransfer extends BaseOperation {
         };
         
         const gasLimit = await this.blockchain.estimateGas(txTemplate);
-        const gasPrice = await this.blockchain.getGasPrice();
+        const gasPrice = await this.blockchain.getMaxGasPrice();
         return BigInt(gasLimit) * BigInt(gasPrice);
     }
     
+    /**
+     * Estimate the self-transfers of the coming cycle, one unit per transfer
+     * The value comes back to the wallet, so only gas is spent
+     * 
+     * @param {Object} options - { callGas }
+     * @returns {Promise<Object>} Cycle estimate
+     */
+    async estimateCycle(options) {
+        const transferCount = this.configManager.getRandomInRange('transfer', 'count', 1, 3);
+        const repeatTimes = this.configManager.getRepeatTimes('transfer', 1);
+        this.pinRange('count', transferCount);
+        
+        const unitGas = await this.blockchain.estimateGas({
+            from: this.blockchain.address,
+            to: this.blockchain.address,
+            value: '0',
+            data: '0x'
+        });
+        
+        return { units: transferCount * repeatTimes, unitGas };
+    }
+    
+    /**
+     * Run at most this many transfers in the coming cycle
+     * 
+     * @param {number} units - Number of transfers
+     */
+    limitUnits(units) {
+        const transferCount = this.configManager.getRange('transfer', 'count', 1, 3).max;
+        
+        if (units < transferCount) {
+            this.pinRange('count', units);
+            this.setRepeatTimes(1);
+        } else {
+            this.setRepeatTimes(Math.floor(units / transferCount));
+        }
+    }
+    
     /**
      * Execute a single transfer
      * 
@@ -100,9 +138,11 @@ class TokenTransfer extends BaseOperation {
      * @returns {Promise<boolean>} Success status
      */
     async executeTransfer(transferNum, totalTransfers) {
+        this.lastFailureCategory = null;
+        
         try {
             // Get wallet balance
-            const { balance, balanceInEth, currency } = await this.blockchain.getBalance();
+            const { balance, currency } = await this.blockchain.getBalance();
             
             if (balance === '0') {
                 this.logger.warn(`No balance to transfer`);
@@ -134,12 +174,16 @@ class TokenTransfer extends BaseOperation {
             
             const result = await this.blockchain.sendTransaction(txObject, `self-transfer #${transferNum}`);
             
-            if (result.success) {
+            if (result.simulated || result.prepared) {
+                this.logger.success(`Transfer #${transferNum}/${totalTransfers} ${result.simulated ? 'simulated' : 'prepared'}`);
+                return true;
+            } else if (result.success) {
                 this.logger.success(`Transfer #${transferNum}/${totalTransfers} successful`);
-                this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+                this.logger.success(`View transaction: ${this.blockchain.getExplorerUrl('tx', result.txHash)}`);
                 return true;
             } else {
                 this.logger.error(`Transfer #${transferNum}/${totalTransfers} failed: ${result.error}`);
+                this.lastFailureCategory = result.category;
                 return false;
             }
         } catch (error) {
@@ -166,14 +210,18 @@ class TokenTransfer extends BaseOperation {
         for (let r = 0; r < repeatTimes; r++) {
             let successCount = 0;
             
-            // Reset nonce for each repeat cycle
-            this.blockchain.resetNonce();
-            
             for (let i = 1; i <= transferCount; i++) {
                 const success = await this.executeTransfer(i, transferCount);
                 if (success) {
                     successCount++;
                     totalSuccess++;
+                } else if (this.lastFailureCategory === ERROR_CATEGORIES.INSUFFICIENT_FUNDS) {
+                    // Further transfers would fail the same way
+                    this.logger.warn(`Insufficient funds, skipping remaining transfers`);
+                    return totalSuccess > 0;
+                } else if (this.lastFailureCategory === ERROR_CATEGORIES.BUDGET_EXCEEDED) {
+                    this.logger.warn(`Budget exhausted, skipping remaining transfers`);
+                    return totalSuccess > 0;
                 }
                 
                 // Add delay between transfers if not the last one
@@ -184,7 +232,7 @@ class TokenTransfer extends BaseOperation {
             
             // Add delay between repeat cycles if not the last one
             if (r < repeatTimes - 1) {
-                this.logger.info(`Completed repeat cycle ${r+1}/${repeatTimes}`);
+                this.logger.info(`Completed repeat cycle ${r+1}/${repeatTimes}: ${successCount}/${transferCount} successful transfers`);
                 await this.addDelay(`next repeat cycle (${r+2}/${repeatTimes})`);
             }
         }
@@ -0,0 +1,60 @@
+// src/signers/BaseSigner.js
+
+/**
+ * Base class for wallet signers
+ * Everything that needs a signature goes through a signer, so key material never leaves it.
+ * Subclasses implement init(), signTransaction() and signMessage().
+ */
+class BaseSigner {
+    /**
+     * Create a signer
+     * 
+     * @param {string} type - Backend name, used in logs
+     * @param {string|null} address - Wallet address, if already known
+     */
+    constructor(type, address = null) {
+        this.type = type;
+        this.address = address;
+    }
+    
+    /**
+     * Prepare the signer for use (unlock a keystore, look up a remote account, ...)
+     * 
+     * @returns {Promise<BaseSigner>} This signer
+     */
+    async init() {
+        return this;
+    }
+    
+    /**
+     * Sign a fully populated transaction
+     * 
+     * @param {Object} tx - Transaction with nonce, gas, fees and chainId set
+     * @param {Web3} web3Instance - Web3 instance of the transaction's network
+     * @returns {Promise<Object>} { rawTransaction, transactionHash }
+     */
+    async signTransaction(tx, web3Instance) {
+        throw new Error(`${this.type} signer does not support transaction signing`);
+    }
+    
+    /**
+     * Sign a message (EIP-191 personal message)
+     * 
+     * @param {string} message - Message to sign
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        throw new Error(`${this.type} signer does not support message signing`);
+    }
+    
+    /**
+     * Describe the signer for logs, without any key material
+     * 
+     * @returns {string} Description
+     */
+    describe() {
+        return `${this.type} signer ${this.address}`;
+    }
+}
+
+module.exports = BaseSigner;
\ No newline at end of file
@@ -0,0 +1,90 @@
+// src/signers/KeystoreSigner.js
+const BaseSigner = require('./BaseSigner');
+const PrivateKeySigner = require('./PrivateKeySigner');
+const { decryptKeystores } = require('../utils/keystore');
+
+/**
+ * Signer backed by an encrypted V3 keystore file
+ * The keystore is decrypted once by init() and the key only lives in memory afterwards
+ */
+class KeystoreSigner extends BaseSigner {
+    #passphrase;
+    #signer = null;
+    
+    /**
+     * Create a KeystoreSigner
+     * 
+     * @param {string} file - Keystore file path
+     * @param {string} passphrase - Keystore passphrase
+     */
+    constructor(file, passphrase) {
+        super('keystore');
+        this.file = file;
+        this.#passphrase = passphrase;
+    }
+    
+    /**
+     * Decrypt the keystore
+     * 
+     * @returns {Promise<KeystoreSigner>} This signer
+     * @throws {Error} If the file is not a valid keystore or the passphrase is wrong
+     */
+    async init() {
+        if (this.#signer) return this;
+        
+        const [wallet] = await decryptKeystores([this.file], this.#passphrase);
+        
+        this.#signer = new PrivateKeySigner(wallet.privateKey);
+        this.#passphrase = null;
+        this.address = this.#signer.address;
+        
+        return this;
+    }
+    
+    /**
+     * Get the unlocked signer
+     * 
+     * @returns {PrivateKeySigner} Signer
+     * @throws {Error} If init() has not been called
+     * @private
+     */
+    _unlocked() {
+        if (!this.#signer) {
+            throw new Error(`Keystore ${this.file} is locked; call init() first`);
+        }
+        
+        return this.#signer;
+    }
+    
+    /**
+     * Sign a fully populated transaction
+     * 
+     * @param {Object} tx - Transaction with nonce, gas, fees and chainId set
+     * @param {Web3} web3Instance - Web3 instance of the transaction's network
+     * @returns {Promise<Object>} { rawTransaction, transactionHash }
+     */
+    async signTransaction(tx, web3Instance) {
+        return await this._unlocked().signTransaction(tx, web3Instance);
+    }
+    
+    /**
+     * Sign a message (EIP-191 personal message)
+     * 
+     * @param {string} message - Message to sign
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        return await this._unlocked().signMessage(message);
+    }
+    
+    /**
+     * Describe the signer for logs, without any key material
+     * 
+     * @returns {string} Description
+     */
+    describe() {
+        return `keystore signer ${this.address} (${this.file})`;
+    }
+}
+
+module.exports = KeystoreSigner;
\ No newline at end of file
@@ -0,0 +1,49 @@
+// src/signers/PrivateKeySigner.js
+const { Web3 } = require('web3');
+const BaseSigner = require('./BaseSigner');
+
+// Provider-less instance, only used for the account helpers
+const accounts = new Web3().eth.accounts;
+
+/**
+ * Signer holding a private key in memory
+ * The key is kept in a private field and is never exposed
+ */
+class PrivateKeySigner extends BaseSigner {
+    #account;
+    
+    /**
+     * Create a PrivateKeySigner
+     * 
+     * @param {string} privateKey - Hex private key, with or without 0x
+     */
+    constructor(privateKey) {
+        const account = accounts.privateKeyToAccount(privateKey.startsWith('0x') ? privateKey : '0x' + privateKey);
+        
+        super('local', account.address);
+        this.#account = account;
+    }
+    
+    /**
+     * Sign a fully populated transaction
+     * 
+     * @param {Object} tx - Transaction with nonce, gas, fees and chainId set
+     * @param {Web3} web3Instance - Web3 instance of the transaction's network
+     * @returns {Promise<Object>} { rawTransaction, transactionHash }
+     */
+    async signTransaction(tx, web3Instance) {
+        return await web3Instance.eth.accounts.signTransaction(tx, this.#account.privateKey);
+    }
+    
+    /**
+     * Sign a message (EIP-191 personal message)
+     * 
+     * @param {string} message - Message to sign
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        return this.#account.sign(message).signature;
+    }
+}
+
+module.exports = PrivateKeySigner;
\ No newline at end of file
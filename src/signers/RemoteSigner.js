@@ -0,0 +1,178 @@
+// src/signers/RemoteSigner.js
+const { Web3, HttpProvider } = require('web3');
+const BaseSigner = require('./BaseSigner');
+const constants = require('../utils/constants');
+
+// Transaction fields sent as hex quantities
+const QUANTITY_FIELDS = ['nonce', 'gas', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'value', 'chainId', 'type'];
+
+/**
+ * Signer that delegates to an external signer over HTTP JSON-RPC (e.g. Clef or a node with an unlocked account)
+ * Transactions are signed with eth_signTransaction and messages with eth_sign; no key material is held locally
+ */
+class RemoteSigner extends BaseSigner {
+    /**
+     * Create a RemoteSigner
+     * 
+     * @param {string} url - Signer JSON-RPC endpoint
+     * @param {string|null} address - Account to sign with; the signer's first account if null
+     * @param {Object} options - { timeoutMs }
+     */
+    constructor(url, address = null, options = {}) {
+        super('remote', address);
+        this.url = url;
+        this.provider = new HttpProvider(url);
+        this.timeoutMs = options.timeoutMs || constants.SIGNER.REMOTE_TIMEOUT_SECONDS * 1000;
+        this.requestId = 0;
+    }
+    
+    /**
+     * Get remote signer settings (general.signer.remote)
+     * 
+     * @param {Object} config - Configuration object
+     * @returns {Object} { url, accounts, timeoutMs }
+     */
+    static getConfig(config = {}) {
+        const signer = (config.general && config.general.signer) || {};
+        const remote = signer.remote || {};
+        
+        return {
+            url: remote.url || constants.SIGNER.REMOTE_URL,
+            accounts: remote.accounts || [],
+            timeoutMs: (remote.timeout_seconds !== undefined ? Number(remote.timeout_seconds) : constants.SIGNER.REMOTE_TIMEOUT_SECONDS) * 1000
+        };
+    }
+    
+    /**
+     * Create initialized signers for the configured accounts, or for every account the signer reports
+     * 
+     * @param {Object} config - Configuration object
+     * @returns {Promise<RemoteSigner[]>} Signers
+     */
+    static async fromConfig(config) {
+        const { url, accounts, timeoutMs } = RemoteSigner.getConfig(config);
+        const addresses = accounts.length > 0
+            ? accounts
+            : await new RemoteSigner(url, null, { timeoutMs }).listAccounts();
+        
+        return await Promise.all(addresses.map(address => new RemoteSigner(url, address, { timeoutMs }).init()));
+    }
+    
+    /**
+     * Send a JSON-RPC request to the signer
+     * 
+     * @param {string} method - RPC method
+     * @param {Array} params - RPC parameters
+     * @returns {Promise<any>} Result
+     * @throws {Error} If the signer is unreachable or returns an error (e.g. the request was rejected)
+     */
+    async call(method, params = []) {
+        const response = await this.provider.request(
+            { jsonrpc: '2.0', id: ++this.requestId, method, params },
+            { signal: AbortSignal.timeout(this.timeoutMs) }
+        );
+        
+        if (response.error) {
+            throw new Error(`Remote signer ${this.url} rejected ${method}: ${response.error.message}`);
+        }
+        
+        return response.result;
+    }
+    
+    /**
+     * List the accounts the signer manages
+     * 
+     * @returns {Promise<string[]>} Addresses
+     */
+    async listAccounts() {
+        return (await this.call('eth_accounts')) || [];
+    }
+    
+    /**
+     * Check that the signer is reachable and manages the account
+     * 
+     * @returns {Promise<RemoteSigner>} This signer
+     * @throws {Error} If the signer has no accounts or does not manage the configured one
+     */
+    async init() {
+        const accounts = await this.listAccounts();
+        
+        if (!this.address) {
+            if (accounts.length === 0) {
+                throw new Error(`Remote signer ${this.url} has no accounts`);
+            }
+            
+            this.address = Web3.utils.toChecksumAddress(accounts[0]);
+            return this;
+        }
+        
+        if (!accounts.some(account => account.toLowerCase() === this.address.toLowerCase())) {
+            throw new Error(`Remote signer ${this.url} does not manage ${this.address}`);
+        }
+        
+        this.address = Web3.utils.toChecksumAddress(this.address);
+        return this;
+    }
+    
+    /**
+     * Encode a transaction for eth_signTransaction
+     * 
+     * @param {Object} tx - Transaction object
+     * @returns {Object} Transaction with hex quantities
+     */
+    formatTransaction(tx) {
+        const formatted = { from: this.address };
+        
+        Object.entries(tx).forEach(([key, value]) => {
+            if (value === undefined || value === null || key === 'from') return;
+            
+            formatted[key] = QUANTITY_FIELDS.includes(key) ? Web3.utils.numberToHex(value) : value;
+        });
+        
+        // Signers differ in which name they read the calldata from
+        if (formatted.data && !formatted.input) formatted.input = formatted.data;
+        
+        return formatted;
+    }
+    
+    /**
+     * Sign a fully populated transaction with eth_signTransaction
+     * 
+     * @param {Object} tx - Transaction with nonce, gas, fees and chainId set
+     * @param {Web3} web3Instance - Web3 instance of the transaction's network (unused)
+     * @returns {Promise<Object>} { rawTransaction, transactionHash }
+     */
+    async signTransaction(tx, web3Instance) {
+        const result = await this.call('eth_signTransaction', [this.formatTransaction(tx)]);
+        
+        // Geth and Clef return { raw, tx }, other signers the raw transaction only
+        const rawTransaction = typeof result === 'string' ? result : result && result.raw;
+        if (!rawTransaction) {
+            throw new Error(`Remote signer ${this.url} returned no signed transaction`);
+        }
+        
+        return { rawTransaction, transactionHash: Web3.utils.keccak256(rawTransaction) };
+    }
+    
+    /**
+     * Sign a message with eth_sign
+     * 
+     * @param {string} message - Message to sign
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        const data = Web3.utils.isHexStrict(message) ? message : Web3.utils.utf8ToHex(message);
+        return await this.call('eth_sign', [this.address, data]);
+    }
+    
+    /**
+     * Describe the signer for logs
+     * 
+     * @returns {string} Description
+     */
+    describe() {
+        return `remote signer ${this.address} (${this.url})`;
+    }
+}
+
+module.exports = RemoteSigner;
\ No newline at end of file
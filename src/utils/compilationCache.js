@@ -0,0 +1,94 @@
+// src/utils/compilationCache.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const constants = require('./constants');
+
+/**
+ * Get compilation cache settings (general.compilation_cache)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { enabled, directory }
+ */
+function getCompilationCacheConfig(config = {}) {
+    const cache = (config.general && config.general.compilation_cache) || {};
+    
+    return {
+        enabled: cache.enabled !== undefined ? Boolean(cache.enabled) : constants.COMPILATION_CACHE.ENABLED,
+        directory: cache.directory || constants.COMPILATION_CACHE.DIRECTORY
+    };
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal inputs always give the same string
+ * 
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    
+    return JSON.stringify(value);
+}
+
+/**
+ * Compute the cache key of a compilation: a hash of everything that determines its output
+ * 
+ * @param {Object} compilation - { sources, contractName, solcVersion, settings } with sources and settings as in the solc standard JSON input
+ * @returns {string} Hex SHA-256 hash
+ */
+function getCompilationKey({ sources, contractName, solcVersion, settings }) {
+    return crypto.createHash('sha256')
+        .update(stableStringify({ sources, contractName, solcVersion, settings }))
+        .digest('hex');
+}
+
+/**
+ * Read a compiled contract from the on-disk cache
+ * Missing, unreadable or incomplete artifacts count as a miss
+ * 
+ * @param {string} directory - Cache directory
+ * @param {string} key - Compilation key
+ * @returns {Promise<Object|null>} { abi, bytecode, imports }, or null if not cached
+ */
+async function readCachedArtifact(directory, key) {
+    try {
+        const artifact = JSON.parse(await fs.readFile(path.join(directory, `${key}.json`), 'utf8'));
+        
+        if (!Array.isArray(artifact.abi) || typeof artifact.bytecode !== 'string') return null;
+        return { abi: artifact.abi, bytecode: artifact.bytecode, imports: artifact.imports || {} };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Write a compiled contract to the on-disk cache
+ * The artifact is written to a temporary file and renamed into place, so other processes never read a partial one
+ * 
+ * @param {string} directory - Cache directory
+ * @param {string} key - Compilation key
+ * @param {Object} artifact - { contractName, solcVersion, abi, bytecode, imports }
+ * @returns {Promise<void>}
+ */
+async function writeCachedArtifact(directory, key, artifact) {
+    const file = path.join(directory, `${key}.json`);
+    const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(temporary, JSON.stringify({ ...artifact, createdAt: new Date().toISOString() }));
+    await fs.rename(temporary, file);
+}
+
+module.exports = {
+    getCompilationCacheConfig,
+    getCompilationKey,
+    readCachedArtifact,
+    writeCachedArtifact
+};
\ No newline at end of file
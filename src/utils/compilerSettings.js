@@ -0,0 +1,182 @@
+// src/utils/compilerSettings.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const solc = require('solc');
+const constants = require('./constants');
+const logger = require('./logger');
+
+// Compilers loaded from the solc cache directory by version, shared by all wallets (promises, so one load per version)
+const compilers = new Map();
+
+// Release names as used by solc.loadRemoteVersion, e.g. "v0.8.24+commit.e11b9ed9"
+const VERSION_PATTERN = /^v\d+\.\d+\.\d+(-nightly\.\d{4}\.\d{1,2}\.\d{1,2})?\+commit\.[0-9a-f]{8}$/;
+
+/**
+ * Get the compiler options of a contract on a network
+ * general.compiler holds the defaults; the network profile's "compiler" section overrides them,
+ * and general.compiler.contracts.<contract name> overrides both
+ * 
+ * @param {Object} config - Configuration object
+ * @param {Object} profile - Normalized network profile the contract is deployed on
+ * @param {string} contractName - Contract name
+ * @returns {Object} { version, optimizer, optimizerRuns, evmVersion, viaIR, metadataHash }
+ */
+function getCompilerOptions(config, profile, contractName) {
+    const compiler = (config.general && config.general.compiler) || {};
+    const layers = [compiler, profile.compiler || {}, (compiler.contracts || {})[contractName] || {}];
+    
+    // Last layer that sets the key wins
+    const pick = (key, fallback) => layers.reduce((value, layer) => (layer[key] !== undefined ? layer[key] : value), fallback);
+    
+    return {
+        version: pick('version', null),
+        optimizer: Boolean(pick('optimizer', constants.COMPILER.OPTIMIZER)),
+        optimizerRuns: Number(pick('optimizer_runs', constants.COMPILER.OPTIMIZER_RUNS)),
+        evmVersion: pick('evm_version', constants.COMPILER.EVM_VERSION),
+        viaIR: Boolean(pick('via_ir', false)),
+        metadataHash: pick('metadata_hash', constants.COMPILER.METADATA_HASH)
+    };
+}
+
+/**
+ * Build the settings of a solc standard JSON input
+ * viaIR and a non-default metadata hash are only set when used, as older compilers reject the keys
+ * 
+ * @param {Object} options - Result of getCompilerOptions()
+ * @param {Array} remappings - Import remappings
+ * @returns {Object} Settings
+ */
+function buildSolcSettings(options, remappings = []) {
+    const settings = {
+        outputSelection: {
+            '*': {
+                '*': ['abi', 'evm.bytecode']
+            }
+        },
+        optimizer: {
+            enabled: options.optimizer,
+            runs: options.optimizerRuns
+        },
+        remappings
+    };
+    
+    // null leaves the compiler's default EVM version
+    if (options.evmVersion) settings.evmVersion = options.evmVersion;
+    if (options.viaIR) settings.viaIR = true;
+    if (options.metadataHash !== 'ipfs') settings.metadata = { bytecodeHash: options.metadataHash };
+    
+    return settings;
+}
+
+/**
+ * Get solc release settings (general.compiler)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { solcDirectory, download, hashes } with hashes the pinned SHA-256 per release name
+ */
+function getSolcConfig(config = {}) {
+    const compiler = (config.general && config.general.compiler) || {};
+    
+    return {
+        solcDirectory: compiler.solc_directory || constants.COMPILER.SOLC_DIRECTORY,
+        download: compiler.download !== undefined ? Boolean(compiler.download) : constants.COMPILER.DOWNLOAD,
+        hashes: compiler.solc_sha256 || {}
+    };
+}
+
+/**
+ * Check a solc release against its pinned SHA-256
+ * 
+ * @param {string} version - Release name
+ * @param {Buffer} content - Content of soljson-<version>.js
+ * @param {string} expectedHash - Pinned hex SHA-256
+ * @throws {Error} If the hash differs
+ */
+function verifySolc(version, content, expectedHash) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    
+    if (hash !== expectedHash.toLowerCase().replace(/^0x/, '')) {
+        throw new Error(`solc ${version} has SHA-256 ${hash}, expected ${expectedHash} (general.compiler.solc_sha256)`);
+    }
+}
+
+/**
+ * Download a solc release from the same location solc.loadRemoteVersion uses
+ * It is only written to the cache once it matches its pinned hash
+ * 
+ * @param {string} version - Release name
+ * @param {string} file - Destination file
+ * @param {string} expectedHash - Pinned hex SHA-256
+ * @returns {Promise<void>}
+ * @throws {Error} If the release cannot be downloaded or does not match its hash
+ */
+async function downloadSolc(version, file, expectedHash) {
+    const url = `${constants.COMPILER.BINARIES_URL}/soljson-${version}.js`;
+    logger.info(`Downloading solc ${version} from ${url}...`);
+    
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not download solc ${version}: HTTP ${response.status}`);
+    }
+    
+    const content = Buffer.from(await response.arrayBuffer());
+    verifySolc(version, content, expectedHash);
+    
+    // Rename into place, so a partial download is never loaded
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, content);
+    await fs.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Load a solc compiler
+ * Releases are read from <solcDirectory>/soljson-<version>.js, the snapshots solc.loadRemoteVersion loads.
+ * A release with a pinned SHA-256 is checked before it is run. A missing release is only downloaded
+ * when download is enabled and its hash is pinned; otherwise it has to be placed there by hand.
+ * 
+ * @param {string|null} version - Release name, e.g. "v0.8.24+commit.e11b9ed9"; null for the solc package's own compiler
+ * @param {Object} options - Result of getSolcConfig()
+ * @returns {Promise<Object>} solc wrapper with compile() and version()
+ * @throws {Error} If the version name is invalid, the release is missing or its hash differs
+ */
+async function loadCompiler(version, { solcDirectory, download, hashes = {} }) {
+    if (!version) return solc;
+    
+    if (!VERSION_PATTERN.test(version)) {
+        throw new Error(`Invalid solc version "${version}", expected a release name such as "v0.8.24+commit.e11b9ed9"`);
+    }
+    
+    if (!compilers.has(version)) {
+        const loading = (async () => {
+            const file = path.resolve(solcDirectory, `soljson-${version}.js`);
+            const expectedHash = hashes[version] || null;
+            const cached = await fs.access(file).then(() => true).catch(() => false);
+            
+            if (cached) {
+                if (expectedHash) verifySolc(version, await fs.readFile(file), expectedHash);
+            } else {
+                if (!download || !expectedHash) {
+                    throw new Error(`solc ${version} not found at ${file}. Place soljson-${version}.js there, or enable general.compiler.download and pin its SHA-256 in general.compiler.solc_sha256`);
+                }
+                
+                await downloadSolc(version, file, expectedHash);
+            }
+            
+            return solc.setupMethods(require(file));
+        })();
+        
+        // Do not keep failures, so the next call tries again
+        loading.catch(() => compilers.delete(version));
+        compilers.set(version, loading);
+    }
+    
+    return await compilers.get(version);
+}
+
+module.exports = {
+    getCompilerOptions,
+    buildSolcSettings,
+    getSolcConfig,
+    loadCompiler
+};
\ No newline at end of file
@@ -5,32 +5,53 @@
  */
 module.exports = {
     /**
-     * Network information for Fhenix
+     * Built-in network profiles, in the same shape as the "networks" config section
+     * Config entries with the same name are merged over these
+     * explorer_url is a template: {type} is "tx" or "address", {value} the hash or address
      */
-    NETWORK: {
-        NAME: "Fhenix Nitrogen",
-        CHAIN_ID: 8008148,
-        RPC_URL: "https://api.nitrogen.fhenix.zone/",
-        EXPLORER_URL: "https://explorer.nitrogen.fhenix.zone",
-        CURRENCY_SYMBOL: "FHE"
+    NETWORKS: {
+        fhenix: {
+            name: "Fhenix Nitrogen",
+            chain_id: 8008148,
+            rpc_urls: ["https://api.nitrogen.fhenix.zone/"],
+            currency: "FHE",
+            explorer_url: "https://explorer.nitrogen.fhenix.zone/{type}/{value}",
+            fee_model: null,
+            confirmations: 1
+        },
+        sepolia: {
+            name: "Sepolia Testnet",
+            chain_id: 11155111,
+            rpc_urls: ["https://eth-sepolia.public.blastapi.io"],
+            currency: "ETH",
+            explorer_url: "https://sepolia.etherscan.io/{type}/{value}",
+            fee_model: null,
+            confirmations: 2
+        },
+        local: {
+            name: "Local Devnet",
+            chain_id: 31337,
+            rpc_urls: ["http://127.0.0.1:8545"],
+            currency: "ETH",
+            explorer_url: null,
+            fee_model: null,
+            confirmations: 1
+        }
     },
     
     /**
-     * Sepolia testnet information for bridging
+     * Network used when general.network is not set
      */
-    SEPOLIA: {
-        NAME: "Sepolia Testnet",
-        CHAIN_ID: 11155111,
-        RPC_URL: "https://eth-sepolia.public.blastapi.io",
-        EXPLORER_URL: "https://sepolia.etherscan.io"
-    },
+    DEFAULT_NETWORK: "fhenix",
     
     /**
      * Bridge contract information
      */
     BRIDGE: {
         INBOX_ADDRESS: "0xf993E10C83Fe26DddFc6cb5E82444C44201e8a9C",
-        DEPOSIT_FUNCTION: "0x439370b1"
+        DEPOSIT_FUNCTION: "0x439370b1",
+        SOURCE_NETWORK: "sepolia",   // Network profile deposits are sent from (operations.bridge.source_network)
+        TARGET_NETWORK: "fhenix"     // Network profile deposits arrive on (operations.bridge.target_network)
     },
     
     /**
@@ -39,8 +60,12 @@ module.exports = {
     GAS: {
         PRICE_MULTIPLIER: 1.1,   // Default multiplier for gas price
         RETRY_INCREASE: 1.3,     // Increase multiplier for retries
-        MIN_GWEI: 0.0001,        // Minimum gas price in gwei
-        MAX_GWEI: 200,           // Maximum gas price in gwei
+        MIN_GWEI: 0.0001,        // Default minimum gas price in gwei (general.fees.min_gwei)
+        MAX_GWEI: 200,           // Default maximum gas price in gwei (general.fees.max_gwei)
+        MIN_PRIORITY_FEE_GWEI: 0.0001, // Default floor for the EIP-1559 priority fee in gwei
+        MAX_PRIORITY_FEE_GWEI: 5, // Default cap for the EIP-1559 priority fee in gwei
+        PRIORITY_FEE_PERCENTILE: 50, // eth_feeHistory reward percentile for the priority fee
+        FEE_HISTORY_BLOCKS: 10,  // Number of recent blocks sampled by eth_feeHistory
         DEFAULT_GAS: 150000,     // Default gas limit if estimation fails
     },
     
@@ -52,7 +77,127 @@ module.exports = {
         BASE_WAIT_TIME: 10,          // Base wait time in seconds between retries
         RETRY_DELAY_BASE: 5000,      // Base delay in ms
         RETRY_DELAY_EXTRA: 5000,     // Extra random delay in ms
-        MEMPOOL_RETRY_MULTIPLIER: 3  // Multiplier for pending transaction retries
+        MEMPOOL_RETRY_MULTIPLIER: 3, // Multiplier for pending transaction retries
+        STUCK_TIMEOUT_SECONDS: 180,  // Time a transaction may stay pending before it is replaced
+        STUCK_MAX_REPLACEMENTS: 2,   // Maximum speed-up/cancel replacements per transaction
+        STUCK_FEE_BUMP_PERCENT: 15   // Fee increase for replacements (nodes require at least 10%)
+    },
+    
+    /**
+     * Confirmation settings
+     */
+    CONFIRMATION: {
+        TIMEOUT_SECONDS: 120,        // Time to wait for a reorged-out transaction to be mined again
+        POLL_INTERVAL_MS: 3000       // Interval between confirmation checks
+    },
+    
+    /**
+     * Encrypted keystore settings
+     */
+    KEYSTORE: {
+        DIRECTORY: 'data/keystore',                  // V3 keystore files, one per wallet
+        PASSPHRASE_ENV: 'KEYSTORE_PASSPHRASE',       // Environment variable checked before prompting
+        ALLOW_PLAINTEXT_KEYS: true                   // Fall back to data/pk.txt when there are no keystores
+    },
+    
+    /**
+     * Offline preparation settings
+     */
+    OFFLINE: {
+        FILE: 'data/prepared-transactions.jsonl',    // Prepared transactions, one JSON object per line
+        SIGN: true                                   // Write signed raw transactions (false: unsigned, signed at broadcast)
+    },
+    
+    /**
+     * Transaction journal settings
+     */
+    JOURNAL: {
+        ENABLED: true,
+        DIRECTORY: 'data/journal'                    // One <network>.jsonl journal per network, plus cycle.json
+    },
+    
+    /**
+     * Signer settings
+     */
+    SIGNER: {
+        TYPE: 'local',                               // "local" (keys, keystores or mnemonic) or "remote"
+        REMOTE_URL: 'http://127.0.0.1:8550',         // JSON-RPC endpoint of the remote signer (Clef's default)
+        REMOTE_TIMEOUT_SECONDS: 120                  // Time to wait for a signature, e.g. for manual approval
+    },
+    
+    /**
+     * HD wallet (mnemonic) settings
+     */
+    HD_WALLET: {
+        MNEMONIC_ENV: 'WALLET_MNEMONIC',             // Environment variable checked before the mnemonic file
+        MNEMONIC_FILE: 'data/mnemonic.txt',          // File holding the BIP-39 mnemonic
+        DERIVATION_PATH: "m/44'/60'/0'/0",           // BIP-44 path for Ethereum accounts, without the index
+        COUNT: 5                                     // Number of wallets derived
+    },
+    
+    /**
+     * Startup network check settings
+     */
+    PREFLIGHT: {
+        MAX_BLOCK_AGE_SECONDS: 300   // Latest block older than this means the node is stalled or behind
+    },
+    
+    /**
+     * Transaction policy settings
+     */
+    POLICY: {
+        ENABLED: true,
+        ALLOWED_DESTINATIONS: ['self', 'deployed', 'bridge'], // Wallet itself, contracts this tool deployed, bridge inbox
+        ALLOW_DEPLOYMENTS: true
+    },
+    
+    /**
+     * Solidity compiler settings
+     */
+    COMPILER: {
+        CONTRACTS_DIRECTORY: 'contracts',            // Contract files, e.g. for operations.<operation>.contract
+        INCLUDE_PATHS: ['node_modules'],             // Searched for imports not found in the contracts directory
+        OPTIMIZER: true,
+        OPTIMIZER_RUNS: 200,
+        EVM_VERSION: 'paris',                        // Before Shanghai, which introduced PUSH0
+        METADATA_HASH: 'ipfs',                       // "ipfs", "bzzr1" or "none"
+        SOLC_DIRECTORY: 'data/cache/solc',           // soljson-<version>.js releases for general.compiler.version
+        DOWNLOAD: false,                             // Download missing releases with a pinned SHA-256 into SOLC_DIRECTORY
+        BINARIES_URL: 'https://binaries.soliditylang.org/bin' // Where solc.loadRemoteVersion downloads releases from
+    },
+    
+    /**
+     * Compilation cache settings
+     */
+    COMPILATION_CACHE: {
+        ENABLED: true,
+        DIRECTORY: 'data/cache/contracts'            // Compiled contracts, one JSON artifact per compilation key
+    },
+    
+    /**
+     * Cycle cost planner settings
+     */
+    COST_PLANNER: {
+        ENABLED: true,               // Estimate each wallet's cycle before it starts and trim it to the balance
+        CALL_GAS: 150000             // Gas assumed per contract call (the contracts are not deployed yet when planning)
+    },
+    
+    /**
+     * RPC endpoint pool settings
+     */
+    RPC_POOL: {
+        HEALTH_CHECK_INTERVAL_SECONDS: 60, // Interval between endpoint health checks
+        MAX_BLOCK_LAG: 5,                  // Blocks an endpoint may trail the best one
+        FAILURE_THRESHOLD: 3,              // Consecutive failures before an endpoint is taken out of rotation
+        COOLDOWN_SECONDS: 60,              // Time an endpoint stays out of rotation
+        REQUEST_TIMEOUT_SECONDS: 30        // Time before a request fails over to the next endpoint
+    },
+    
+    /**
+     * Pipelined sending settings
+     */
+    PIPELINE: {
+        MAX_IN_FLIGHT: 5             // Transactions broadcast before waiting for their receipts
     },
     
     /**
@@ -149,6 +294,7 @@ module.exports = {
             'Protocol', 'Network', 'Exchange', 'Capital', 'Money', 'Rocket', 'Rise', 'Gains', 'Pump', 'Whale',
             'Bit', 'Satoshi', 'Elon', 'Mars', 'Galaxy', 'Star', 'Nova', 'Verse', 'World', 'Gem'
         ],
+        ESTIMATE_CONTRACT_NAME: 'EstimatedToken',    // Fixed name the template is compiled under for cost estimates
         CONTRACT_TEMPLATE: `
         // SPDX-License-Identifier: MIT
         pragma solidity >=0.8.0 <0.9.0;
@@ -277,6 +423,7 @@ module.exports = {
             'Apes', 'Monkeys', 'Punks', 'Cats', 'Dogs', 'Bears', 'Club', 'Society', 'Gang', 'Legends',
             'Collection', 'Worlds', 'Metaverse', 'Universe', 'Pets', 'Friends', 'Heroes', 'Squad', 'Crew', 'Team'
         ],
+        ESTIMATE_CONTRACT_NAME: 'EstimatedCollection', // Fixed name the template is compiled under for cost estimates
         CONTRACT_TEMPLATE: `
         // SPDX-License-Identifier: MIT
         pragma solidity >=0.8.0 <0.9.0;
@@ -445,6 +592,39 @@ module.exports = {
         `
     },
     
+    /**
+     * Random contract generation settings
+     */
+    RANDOM_CONTRACT: {
+        NAME_PREFIXES: [
+            'Quantum', 'Nebula', 'Cipher', 'Vector', 'Photon', 'Echo', 'Atlas', 'Orbit', 'Prism', 'Vertex',
+            'Zenith', 'Flux', 'Nova', 'Pulse', 'Helix', 'Aether', 'Nimbus', 'Vortex', 'Lumen', 'Onyx'
+        ],
+        NAME_SUFFIXES: [
+            'Registry', 'Vault', 'Ledger', 'Engine', 'Hub', 'Store', 'Tracker', 'Keeper', 'Core', 'Module',
+            'Beacon', 'Relay', 'Forge', 'Index', 'Archive', 'Oracle', 'Node', 'Bank', 'Counter', 'Board'
+        ],
+        VARIABLE_NAMES: [
+            'score', 'level', 'balance', 'energy', 'power', 'points', 'rating', 'weight', 'height', 'speed',
+            'status', 'label', 'title', 'note', 'tag', 'active', 'locked', 'paused', 'verified', 'keeper'
+        ],
+        VARIABLE_TYPES: ['uint256', 'bool', 'string', 'address'],
+        MIN_VARIABLES: 2,
+        MAX_VARIABLES: 6
+    },
+    
+    /**
+     * Random token generation settings
+     */
+    RANDOM_TOKEN: {
+        DECIMALS_OPTIONS: [6, 8, 9, 12, 18],
+        FEATURES: ['mintable', 'burnable', 'pausable'],
+        TRANSFER_PERCENTAGE: {
+            MIN: 1,
+            MAX: 5
+        }
+    },
+    
     /**
      * Delay settings
      */
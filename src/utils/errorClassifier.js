@@ -0,0 +1,217 @@
+// src/utils/errorClassifier.js
+
+/**
+ * Stable error categories for JSON-RPC and EVM failures
+ */
+const ERROR_CATEGORIES = {
+    INSUFFICIENT_FUNDS: 'insufficient_funds',
+    NONCE_TOO_LOW: 'nonce_too_low',
+    REPLACEMENT_UNDERPRICED: 'replacement_underpriced',
+    EXECUTION_REVERTED: 'execution_reverted',
+    GAS_LIMIT_EXCEEDED: 'gas_limit_exceeded',
+    RPC_TIMEOUT: 'rpc_timeout',
+    RATE_LIMITED: 'rate_limited',
+    TRANSACTION_DROPPED: 'transaction_dropped',
+    BUDGET_EXCEEDED: 'budget_exceeded',
+    POLICY_VIOLATION: 'policy_violation',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Categories worth retrying with the same transaction
+ */
+const RETRYABLE_CATEGORIES = [
+    ERROR_CATEGORIES.NONCE_TOO_LOW,
+    ERROR_CATEGORIES.REPLACEMENT_UNDERPRICED,
+    ERROR_CATEGORIES.RPC_TIMEOUT,
+    ERROR_CATEGORIES.RATE_LIMITED,
+    ERROR_CATEGORIES.TRANSACTION_DROPPED
+];
+
+/**
+ * Message patterns per category, checked in order
+ */
+const MESSAGE_PATTERNS = [
+    [ERROR_CATEGORIES.INSUFFICIENT_FUNDS, [/insufficient funds/i, /insufficient balance/i]],
+    [ERROR_CATEGORIES.NONCE_TOO_LOW, [/nonce too low/i, /nonce has already been used/i, /already known/i, /doesn't have the correct nonce/i]],
+    [ERROR_CATEGORIES.REPLACEMENT_UNDERPRICED, [/underpriced/i, /fee too low/i, /max fee per gas less than block base fee/i]],
+    [ERROR_CATEGORIES.GAS_LIMIT_EXCEEDED, [/exceeds block gas limit/i, /intrinsic gas too low/i, /out of gas/i, /gas required exceeds allowance/i, /gas limit reached/i]],
+    [ERROR_CATEGORIES.EXECUTION_REVERTED, [/revert/i, /invalid opcode/i]],
+    [ERROR_CATEGORIES.RATE_LIMITED, [/rate limit/i, /too many requests/i, /\b429\b/, /exceeded .*capacity/i, /request limit/i]],
+    [ERROR_CATEGORIES.RPC_TIMEOUT, [/timeout/i, /timed out/i, /not mined within/i, /ETIMEDOUT/, /ECONNRESET/, /socket hang up/i]],
+    [ERROR_CATEGORIES.TRANSACTION_DROPPED, [/dropped/i, /transaction not found/i, /transaction was replaced/i]]
+];
+
+/**
+ * web3 v4 error names mapped to categories
+ */
+const ERROR_NAMES = {
+    TransactionRevertInstructionError: ERROR_CATEGORIES.EXECUTION_REVERTED,
+    TransactionRevertedWithoutReasonError: ERROR_CATEGORIES.EXECUTION_REVERTED,
+    TransactionRevertWithCustomError: ERROR_CATEGORIES.EXECUTION_REVERTED,
+    ContractExecutionError: ERROR_CATEGORIES.EXECUTION_REVERTED,
+    TransactionOutOfGasError: ERROR_CATEGORIES.GAS_LIMIT_EXCEEDED,
+    TransactionPollingTimeoutError: ERROR_CATEGORIES.RPC_TIMEOUT,
+    TransactionBlockTimeoutError: ERROR_CATEGORIES.RPC_TIMEOUT,
+    TransactionSendTimeoutError: ERROR_CATEGORIES.RPC_TIMEOUT
+};
+
+/**
+ * Error carrying a classified category, thrown where a failed result has to become an exception
+ */
+class TransactionError extends Error {
+    /**
+     * Create a TransactionError
+     * 
+     * @param {string} message - Error message
+     * @param {Object} classification - Result of classifyError()
+     */
+    constructor(message, classification = {}) {
+        super(message);
+        this.name = 'TransactionError';
+        this.category = classification.category || ERROR_CATEGORIES.UNKNOWN;
+        this.reason = classification.reason || null;
+        this.code = classification.code;
+    }
+}
+
+/**
+ * Collect the messages of an error and its nested causes
+ * 
+ * @param {Error|Object} error - Error to inspect
+ * @returns {string} Combined message text
+ */
+function collectMessages(error) {
+    const messages = [];
+    let current = error;
+    let depth = 0;
+    
+    // web3 v4 wraps node errors in innerError/cause chains
+    while (current && depth < 5) {
+        if (current.message) messages.push(current.message);
+        if (current.reason) messages.push(current.reason);
+        if (current.data && typeof current.data.message === 'string') messages.push(current.data.message);
+        current = current.innerError || current.cause;
+        depth++;
+    }
+    
+    return messages.join(' | ');
+}
+
+/**
+ * Find revert data (hex string) anywhere in an error chain
+ * 
+ * @param {Error|Object} error - Error to inspect
+ * @returns {string|null} Revert data or null
+ */
+function findRevertData(error) {
+    let current = error;
+    let depth = 0;
+    
+    while (current && depth < 5) {
+        const candidates = [current.data, current.data && current.data.data];
+        for (const candidate of candidates) {
+            if (typeof candidate === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(candidate)) {
+                return candidate;
+            }
+        }
+        current = current.innerError || current.cause;
+        depth++;
+    }
+    
+    return null;
+}
+
+/**
+ * Decode revert data into a readable reason
+ * Supports Error(string) and Panic(uint256) payloads
+ * 
+ * @param {string} data - Hex encoded revert data
+ * @returns {string|null} Decoded reason or null if unknown
+ */
+function decodeRevertReason(data) {
+    if (typeof data !== 'string' || !data.startsWith('0x') || data.length < 10) {
+        return null;
+    }
+    
+    const selector = data.slice(0, 10).toLowerCase();
+    const payload = data.slice(10);
+    
+    try {
+        if (selector === '0x08c379a0') {
+            // Error(string): offset (32 bytes), length (32 bytes), utf8 bytes
+            const length = parseInt(payload.slice(64, 128), 16);
+            return Buffer.from(payload.slice(128, 128 + length * 2), 'hex').toString('utf8');
+        }
+        
+        if (selector === '0x4e487b71') {
+            // Panic(uint256)
+            return `panic code 0x${BigInt('0x' + payload.slice(0, 64)).toString(16)}`;
+        }
+    } catch (error) {
+        return null;
+    }
+    
+    return `custom error ${selector}`;
+}
+
+/**
+ * Classify a JSON-RPC or EVM error into a stable category
+ * 
+ * @param {Error|Object} error - Error thrown by web3 or a node response error
+ * @returns {Object} Classification with category, reason, code and retryable flag
+ */
+function classifyError(error) {
+    if (!error) {
+        return { category: ERROR_CATEGORIES.UNKNOWN, reason: null, code: undefined, retryable: false, message: '' };
+    }
+    
+    // Errors that were already classified keep their category
+    if (error instanceof TransactionError) {
+        return {
+            category: error.category,
+            reason: error.reason,
+            code: error.code,
+            retryable: RETRYABLE_CATEGORIES.includes(error.category),
+            message: error.message
+        };
+    }
+    
+    const message = collectMessages(error);
+    const code = error.code !== undefined ? error.code : (error.data && error.data.code);
+    const revertData = findRevertData(error);
+    let reason = revertData ? decodeRevertReason(revertData) : null;
+    let category = ERROR_NAMES[error.name] || null;
+    
+    // HTTP 429 and the JSON-RPC "limit exceeded" code are rate limits
+    if (!category && (error.statusCode === 429 || error.status === 429 || code === -32005 || code === 429)) {
+        category = ERROR_CATEGORIES.RATE_LIMITED;
+    }
+    
+    if (!category) {
+        const match = MESSAGE_PATTERNS.find(([, patterns]) => patterns.some(pattern => pattern.test(message)));
+        category = match ? match[0] : ERROR_CATEGORIES.UNKNOWN;
+    }
+    
+    // Fall back to a plain-text revert reason when no revert data was returned
+    if (category === ERROR_CATEGORIES.EXECUTION_REVERTED && !reason) {
+        reason = error.reason || (message.match(/reverted:?\s*([^|]+)/i) || [])[1] || null;
+        if (reason) reason = reason.trim();
+    }
+    
+    return {
+        category,
+        reason,
+        code,
+        retryable: RETRYABLE_CATEGORIES.includes(category),
+        message: error.message || message
+    };
+}
+
+module.exports = {
+    ERROR_CATEGORIES,
+    RETRYABLE_CATEGORIES,
+    TransactionError,
+    classifyError,
+    decodeRevertReason
+};
\ No newline at end of file
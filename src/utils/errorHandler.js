@@ -1,5 +1,6 @@
 // src/utils/errorHandler.js
 const logger = require('./logger');
+const { classifyError } = require('./errorClassifier');
 
 /**
  * Wraps an async function with standardized error handling
@@ -11,7 +12,8 @@ const logger = require('./logger');
  * @param {string} options.operationName - Name of the operation for error logging
  * @param {number} options.maxRetries - Maximum retry attempts
  * @param {number} options.retryDelay - Delay between retries in milliseconds
- * @param {Function} options.onError - Custom error handler function
+ * @param {string[]|null} options.retryCategories - Only retry errors in these categories (see errorClassifier)
+ * @param {Function} options.onError - Custom error handler function, called with (error, classification)
  * @returns {Promise<any>} - Result of the function or error handler
  */
 async function withErrorHandling(fn, options = {}) {
@@ -21,6 +23,7 @@ async function withErrorHandling(fn, options = {}) {
         operationName = 'operation', 
         maxRetries = 0,
         retryDelay = 1000,
+        retryCategories = null,
         onError = null 
     } = options;
     
@@ -32,13 +35,16 @@ async function withErrorHandling(fn, options = {}) {
             return await fn();
         } catch (error) {
             const log = walletNum !== null ? loggerInstance.getInstance(walletNum) : loggerInstance.getInstance();
-            log.error(`Error in ${operationName}: ${error.message}`);
+            const classification = classifyError(error);
+            log.error(`Error in ${operationName} [${classification.category}]: ${error.message}`);
             
-            if (attempts <= maxRetries) {
+            const canRetry = !retryCategories || retryCategories.includes(classification.category);
+            
+            if (attempts <= maxRetries && canRetry) {
                 log.info(`Retrying ${operationName} (${attempts}/${maxRetries})...`);
                 await new Promise(resolve => setTimeout(resolve, retryDelay * attempts)); // Exponential backoff
             } else {
-                if (onError) return onError(error);
+                if (onError) return onError(error, classification);
                 return false;
             }
         }
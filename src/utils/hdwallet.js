@@ -0,0 +1,89 @@
+// src/utils/hdwallet.js
+const fs = require('fs').promises;
+const { Web3 } = require('web3');
+const { mnemonicToSeedSync, validateMnemonic } = require('ethereum-cryptography/bip39');
+const { wordlist } = require('ethereum-cryptography/bip39/wordlists/english');
+const { HDKey } = require('ethereum-cryptography/hdkey');
+const constants = require('./constants');
+
+// Provider-less instance, only used for the account helpers
+const accounts = new Web3().eth.accounts;
+
+/**
+ * Get HD wallet settings (general.hd_wallet)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { enabled, mnemonicEnv, mnemonicFile, derivationPath, startIndex, count }
+ */
+function getHdWalletConfig(config = {}) {
+    const hdWallet = (config.general && config.general.hd_wallet) || {};
+    
+    return {
+        enabled: Boolean(hdWallet.enabled),
+        mnemonicEnv: hdWallet.mnemonic_env || constants.HD_WALLET.MNEMONIC_ENV,
+        mnemonicFile: hdWallet.mnemonic_file || constants.HD_WALLET.MNEMONIC_FILE,
+        derivationPath: (hdWallet.derivation_path || constants.HD_WALLET.DERIVATION_PATH).replace(/\/+$/, ''),
+        startIndex: hdWallet.start_index !== undefined ? Number(hdWallet.start_index) : 0,
+        count: hdWallet.count !== undefined ? Number(hdWallet.count) : constants.HD_WALLET.COUNT
+    };
+}
+
+/**
+ * Read the mnemonic from the environment, or from the mnemonic file
+ * 
+ * @param {Object} hdWalletConfig - Settings from getHdWalletConfig
+ * @returns {Promise<Object>} { mnemonic, source } where source is "env" or "file"
+ * @throws {Error} If neither holds a mnemonic
+ */
+async function loadMnemonic({ mnemonicEnv, mnemonicFile }) {
+    if (process.env[mnemonicEnv]) {
+        return { mnemonic: process.env[mnemonicEnv], source: 'env' };
+    }
+    
+    try {
+        return { mnemonic: await fs.readFile(mnemonicFile, 'utf8'), source: 'file' };
+    } catch (error) {
+        throw new Error(`No mnemonic found: set ${mnemonicEnv} or create ${mnemonicFile}`);
+    }
+}
+
+/**
+ * Derive wallets from a BIP-39 mnemonic along a BIP-44 path
+ * Wallet n uses <derivationPath>/<startIndex + n>
+ * 
+ * @param {string} mnemonic - BIP-39 mnemonic (English word list)
+ * @param {string} derivationPath - Path without the final index, e.g. m/44'/60'/0'/0
+ * @param {number} startIndex - First address index
+ * @param {number} count - Number of wallets
+ * @returns {Array} { index, path, address, privateKey } per wallet, in index order
+ * @throws {Error} If the mnemonic or the range is invalid
+ */
+function deriveWallets(mnemonic, derivationPath, startIndex, count) {
+    const phrase = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+    
+    if (!validateMnemonic(phrase, wordlist)) {
+        throw new Error('Invalid mnemonic: check the words and their order');
+    }
+    
+    if (!Number.isInteger(startIndex) || startIndex < 0 || !Number.isInteger(count) || count < 1) {
+        throw new Error(`Invalid HD wallet range: start_index ${startIndex}, count ${count}`);
+    }
+    
+    const root = HDKey.fromMasterSeed(mnemonicToSeedSync(phrase));
+    const wallets = [];
+    
+    for (let index = startIndex; index < startIndex + count; index++) {
+        const path = `${derivationPath}/${index}`;
+        const account = accounts.privateKeyToAccount(root.derive(path).privateKey);
+        
+        wallets.push({ index, path, address: account.address, privateKey: account.privateKey });
+    }
+    
+    return wallets;
+}
+
+module.exports = {
+    getHdWalletConfig,
+    loadMnemonic,
+    deriveWallets
+};
\ No newline at end of file
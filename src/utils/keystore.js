@@ -0,0 +1,183 @@
+// src/utils/keystore.js
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { Web3 } = require('web3');
+const constants = require('./constants');
+
+// Provider-less instance, only used for the account helpers
+const accounts = new Web3().eth.accounts;
+
+/**
+ * Get keystore settings (general.keystore)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { directory, passphraseEnv, allowPlaintextKeys }
+ */
+function getKeystoreConfig(config = {}) {
+    const keystore = (config.general && config.general.keystore) || {};
+    
+    return {
+        directory: keystore.directory || constants.KEYSTORE.DIRECTORY,
+        passphraseEnv: keystore.passphrase_env || constants.KEYSTORE.PASSPHRASE_ENV,
+        allowPlaintextKeys: keystore.allow_plaintext_keys !== undefined
+            ? Boolean(keystore.allow_plaintext_keys)
+            : constants.KEYSTORE.ALLOW_PLAINTEXT_KEYS
+    };
+}
+
+/**
+ * List the keystore files in a directory, sorted by name
+ * 
+ * @param {string} directory - Keystore directory
+ * @returns {Promise<string[]>} File paths, empty if the directory does not exist
+ */
+async function findKeystoreFiles(directory) {
+    try {
+        const entries = await fs.readdir(directory);
+        
+        return entries
+            .filter(name => name.toLowerCase().endsWith('.json') || name.startsWith('UTC--'))
+            .sort()
+            .map(name => path.join(directory, name));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Ask for a passphrase on the terminal without echoing it
+ * 
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Entered passphrase
+ * @throws {Error} If there is no terminal to ask on
+ */
+function promptPassphrase(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error('No terminal available to enter the keystore passphrase'));
+    }
+    
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        let muted = false;
+        
+        // Hide everything typed after the question
+        rl._writeToOutput = text => {
+            if (!muted) rl.output.write(text);
+        };
+        
+        rl.question(question, answer => {
+            rl.output.write('\n');
+            rl.close();
+            resolve(answer);
+        });
+        
+        muted = true;
+    });
+}
+
+/**
+ * Get the keystore passphrase from the environment, or ask for it
+ * 
+ * @param {Object} options - { passphraseEnv, confirm }; confirm asks twice when creating keystores
+ * @returns {Promise<string>} Passphrase
+ * @throws {Error} If the passphrase is empty or the two entries differ
+ */
+async function getPassphrase({ passphraseEnv = constants.KEYSTORE.PASSPHRASE_ENV, confirm = false } = {}) {
+    if (process.env[passphraseEnv]) {
+        return process.env[passphraseEnv];
+    }
+    
+    const passphrase = await promptPassphrase('Keystore passphrase: ');
+    if (!passphrase) {
+        throw new Error('Keystore passphrase must not be empty');
+    }
+    
+    if (confirm && passphrase !== await promptPassphrase('Repeat passphrase: ')) {
+        throw new Error('Passphrases do not match');
+    }
+    
+    return passphrase;
+}
+
+/**
+ * Decrypt keystore files
+ * The decrypted keys are only returned, never written anywhere
+ * 
+ * @param {string[]} files - Keystore file paths
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<Array>} { address, privateKey, file } per keystore
+ * @throws {Error} If a file is not a valid keystore or the passphrase is wrong
+ */
+async function decryptKeystores(files, passphrase) {
+    const unlocked = [];
+    
+    for (const file of files) {
+        let keystore;
+        
+        try {
+            keystore = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid keystore file ${file}: ${error.message}`);
+        }
+        
+        try {
+            const account = await accounts.decrypt(keystore, passphrase);
+            unlocked.push({ address: account.address, privateKey: account.privateKey, file });
+        } catch (error) {
+            throw new Error(`Could not unlock ${file}: ${error.message}`);
+        }
+    }
+    
+    return unlocked;
+}
+
+/**
+ * Encrypt private keys into V3 keystore files, named like geth's (UTC--<time>--<address>)
+ * Addresses that already have a keystore in the directory are skipped
+ * 
+ * @param {string[]} privateKeys - Hex private keys, with or without 0x
+ * @param {string} passphrase - Keystore passphrase
+ * @param {string} directory - Keystore directory
+ * @returns {Promise<Object>} { created, skipped } as lists of { address, file }
+ */
+async function writeKeystores(privateKeys, passphrase, directory) {
+    await fs.mkdir(directory, { recursive: true });
+    
+    const existing = await fs.readdir(directory);
+    const created = [];
+    const skipped = [];
+    
+    for (const key of privateKeys) {
+        const privateKey = key.startsWith('0x') ? key : '0x' + key;
+        const address = accounts.privateKeyToAccount(privateKey).address;
+        const addressHex = address.slice(2).toLowerCase();
+        
+        const match = existing.find(name => name.toLowerCase().includes(addressHex));
+        if (match) {
+            skipped.push({ address, file: path.join(directory, match) });
+            continue;
+        }
+        
+        const keystore = await accounts.encrypt(privateKey, passphrase);
+        const timestamp = new Date().toISOString().replace(/:/g, '-');
+        const file = path.join(directory, `UTC--${timestamp}--${addressHex}.json`);
+        
+        // Readable by the owner only
+        await fs.writeFile(file, JSON.stringify(keystore), { mode: 0o600 });
+        existing.push(path.basename(file));
+        created.push({ address, file });
+    }
+    
+    return { created, skipped };
+}
+
+module.exports = {
+    getKeystoreConfig,
+    findKeystoreFiles,
+    promptPassphrase,
+    getPassphrase,
+    decryptKeystores,
+    writeKeystores
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+// src/utils/networks.js
+const _ = require('lodash');
+const constants = require('./constants');
+
+/**
+ * Get all network profiles: the built-in ones with the "networks" config section merged over them
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} Profiles by name
+ */
+function getNetworkProfiles(config = {}) {
+    // Lists such as rpc_urls replace the built-in list instead of being merged by index
+    return _.mergeWith({}, constants.NETWORKS, config.networks || {}, (target, source) => {
+        if (Array.isArray(source)) return source;
+    });
+}
+
+/**
+ * Get the name of the network operations run on (general.network)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {string} Network profile name
+ */
+function getDefaultNetworkName(config = {}) {
+    return (config.general && config.general.network) || constants.DEFAULT_NETWORK;
+}
+
+/**
+ * Get the network profiles the bridge sends deposits from and receives them on
+ * (operations.bridge.source_network and target_network)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { source, target } network profile names
+ */
+function getBridgeNetworkNames(config = {}) {
+    const bridge = (config.operations && config.operations.bridge) || {};
+    
+    return {
+        source: bridge.source_network || constants.BRIDGE.SOURCE_NETWORK,
+        target: bridge.target_network || constants.BRIDGE.TARGET_NETWORK
+    };
+}
+
+/**
+ * Get a normalized network profile by name
+ * 
+ * @param {Object} config - Configuration object
+ * @param {string} name - Profile name
+ * @returns {Object} Profile with name, chainId, rpcUrls, currency, explorerUrl, feeModel, confirmations and compiler
+ * @throws {Error} If the profile does not exist or has no chain ID or RPC URL
+ */
+function getNetworkProfile(config, name) {
+    const profiles = getNetworkProfiles(config);
+    const profile = profiles[name];
+    
+    if (!profile) {
+        throw new Error(`Unknown network "${name}". Available networks: ${Object.keys(profiles).join(', ')}`);
+    }
+    
+    // Accept a single rpc_url as well as a list
+    const rpcUrls = [].concat(profile.rpc_urls || [], profile.rpc_url || []);
+    
+    if (!profile.chain_id || rpcUrls.length === 0) {
+        throw new Error(`Network "${name}" needs a chain_id and at least one RPC URL`);
+    }
+    
+    return {
+        key: name,
+        name: profile.name || name,
+        chainId: Number(profile.chain_id),
+        rpcUrls,
+        currency: profile.currency || 'ETH',
+        explorerUrl: profile.explorer_url || null,
+        feeModel: profile.fee_model || null,
+        confirmations: profile.confirmations !== undefined ? Number(profile.confirmations) : 1,
+        compiler: profile.compiler || {}
+    };
+}
+
+/**
+ * Build an explorer link for a transaction or address
+ * Falls back to the bare value when the network has no explorer
+ * 
+ * @param {Object} profile - Normalized network profile
+ * @param {string} type - "tx" or "address"
+ * @param {string} value - Transaction hash or address
+ * @returns {string} Explorer URL or the value itself
+ */
+function formatExplorerUrl(profile, type, value) {
+    if (!profile.explorerUrl) {
+        return value;
+    }
+    
+    return profile.explorerUrl.replace('{type}', type).replace('{value}', value);
+}
+
+module.exports = {
+    getNetworkProfiles,
+    getDefaultNetworkName,
+    getBridgeNetworkNames,
+    getNetworkProfile,
+    formatExplorerUrl
+};
\ No newline at end of file
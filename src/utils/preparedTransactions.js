@@ -0,0 +1,105 @@
+// src/utils/preparedTransactions.js
+const fs = require('fs').promises;
+const path = require('path');
+const { Web3 } = require('web3');
+const constants = require('./constants');
+
+/**
+ * Get offline preparation settings (general.offline)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { enabled, sign, file, defaultGas }
+ */
+function getOfflineConfig(config = {}) {
+    const offline = (config.general && config.general.offline) || {};
+    
+    return {
+        enabled: Boolean(offline.enabled),
+        sign: offline.sign !== undefined ? Boolean(offline.sign) : constants.OFFLINE.SIGN,
+        file: offline.file || constants.OFFLINE.FILE,
+        defaultGas: offline.default_gas !== undefined ? Number(offline.default_gas) : constants.GAS.DEFAULT_GAS
+    };
+}
+
+/**
+ * RLP-encode a non-negative integer
+ * 
+ * @param {number} value - Integer
+ * @returns {string} Hex encoding without 0x
+ */
+function rlpInteger(value) {
+    if (value === 0) return '80';
+    if (value < 0x80) return value.toString(16).padStart(2, '0');
+    
+    let hex = value.toString(16);
+    if (hex.length % 2) hex = '0' + hex;
+    return (0x80 + hex.length / 2).toString(16) + hex;
+}
+
+/**
+ * Compute the address a contract deployed by an account with a given nonce will have
+ * (keccak256 of rlp([sender, nonce]), last 20 bytes)
+ * 
+ * @param {string} from - Deployer address
+ * @param {number} nonce - Nonce of the deployment transaction
+ * @returns {string} Checksummed contract address
+ */
+function predictContractAddress(from, nonce) {
+    const payload = '94' + from.slice(2).toLowerCase() + rlpInteger(Number(nonce));
+    const encoded = '0x' + (0xc0 + payload.length / 2).toString(16) + payload;
+    
+    return Web3.utils.toChecksumAddress('0x' + Web3.utils.keccak256(encoded).slice(-40));
+}
+
+/**
+ * Append a prepared transaction to a JSON Lines file
+ * 
+ * @param {string} file - Output file
+ * @param {Object} record - Prepared transaction
+ * @returns {Promise<void>}
+ */
+async function appendPreparedTransaction(file, record) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    
+    const line = JSON.stringify(record, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    await fs.appendFile(file, line + '\n');
+}
+
+/**
+ * Read prepared transactions and order them for broadcasting:
+ * grouped by network and sender (in order of first appearance), each group in nonce order
+ * 
+ * @param {string} file - File written by appendPreparedTransaction
+ * @returns {Promise<Array>} Prepared transactions
+ * @throws {Error} If a line is not valid JSON
+ */
+async function readPreparedTransactions(file) {
+    const content = await fs.readFile(file, 'utf8');
+    const records = content.split('\n')
+        .map(line => line.trim())
+        .filter(line => line)
+        .map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid prepared transaction on line ${i + 1} of ${file}: ${error.message}`);
+            }
+        });
+    
+    const senders = [];
+    records.forEach(record => {
+        const sender = `${record.network}:${record.from.toLowerCase()}`;
+        if (!senders.includes(sender)) senders.push(sender);
+    });
+    
+    const senderIndex = record => senders.indexOf(`${record.network}:${record.from.toLowerCase()}`);
+    
+    return records.sort((a, b) => senderIndex(a) - senderIndex(b) || Number(a.nonce) - Number(b.nonce));
+}
+
+module.exports = {
+    getOfflineConfig,
+    predictContractAddress,
+    appendPreparedTransaction,
+    readPreparedTransactions
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+// src/utils/random.js
+
+/**
+ * Pick a random element from an array
+ * 
+ * @param {Array} array - Source array
+ * @returns {any} Random element
+ */
+function pickRandom(array) {
+    return array[Math.floor(Math.random() * array.length)];
+}
+
+module.exports = {
+    pickRandom
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+// src/utils/solidityImports.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const constants = require('./constants');
+
+/**
+ * Get Solidity source settings (general.compiler)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { contractsDirectory, includePaths, remappings }
+ */
+function getSourceConfig(config = {}) {
+    const compiler = (config.general && config.general.compiler) || {};
+    
+    return {
+        contractsDirectory: compiler.contracts_directory || constants.COMPILER.CONTRACTS_DIRECTORY,
+        includePaths: compiler.include_paths || constants.COMPILER.INCLUDE_PATHS,
+        remappings: compiler.remappings || []
+    };
+}
+
+/**
+ * Hash a source file's content
+ * 
+ * @param {string} content - Source code
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashSource(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Find the file behind a source unit name (an import path after solc applied relative paths and remappings)
+ * The contracts directory is searched first, then the include paths (e.g. node_modules), then the working directory
+ * 
+ * @param {string} sourceUnit - Source unit name, e.g. "token/MyToken.sol" or "@openzeppelin/contracts/token/ERC20/ERC20.sol"
+ * @param {Object} sources - Result of getSourceConfig()
+ * @returns {string|null} File path, or null if not found
+ */
+function resolveSourceFile(sourceUnit, { contractsDirectory, includePaths }) {
+    const candidates = [contractsDirectory, ...includePaths, '.'].map(base => path.resolve(base, sourceUnit));
+    return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Create a solc import callback that loads imports from disk
+ * Every import it loads is recorded in imported, by source unit name with its content hash
+ * 
+ * @param {Object} sources - Result of getSourceConfig()
+ * @param {Object} imported - Object that receives { [sourceUnit]: hash }
+ * @returns {Function} Callback returning { contents } or { error }
+ */
+function createImportCallback(sources, imported = {}) {
+    return sourceUnit => {
+        const file = resolveSourceFile(sourceUnit, sources);
+        if (!file) {
+            return { error: `File not found: ${sourceUnit} (searched ${[sources.contractsDirectory, ...sources.includePaths, '.'].join(', ')})` };
+        }
+        
+        const contents = fs.readFileSync(file, 'utf8');
+        imported[sourceUnit] = hashSource(contents);
+        return { contents };
+    };
+}
+
+/**
+ * Check that recorded imports still resolve to files with the same content
+ * 
+ * @param {Object} imported - { [sourceUnit]: hash } recorded by createImportCallback
+ * @param {Object} sources - Result of getSourceConfig()
+ * @returns {boolean} True if none of them changed
+ */
+function importsUnchanged(imported, sources) {
+    return Object.entries(imported).every(([sourceUnit, hash]) => {
+        const file = resolveSourceFile(sourceUnit, sources);
+        return Boolean(file) && hashSource(fs.readFileSync(file, 'utf8')) === hash;
+    });
+}
+
+module.exports = {
+    getSourceConfig,
+    resolveSourceFile,
+    createImportCallback,
+    importsUnchanged
+};
\ No newline at end of file
@@ -0,0 +1,205 @@
+// src/utils/transactionJournal.js
+const fs = require('fs').promises;
+const path = require('path');
+const constants = require('./constants');
+
+/**
+ * Get transaction journal settings (general.journal)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { enabled, directory }
+ */
+function getJournalConfig(config = {}) {
+    const journal = (config.general && config.general.journal) || {};
+    
+    return {
+        enabled: journal.enabled !== undefined ? Boolean(journal.enabled) : constants.JOURNAL.ENABLED,
+        directory: journal.directory || constants.JOURNAL.DIRECTORY
+    };
+}
+
+/**
+ * Get the journal file of a network
+ * 
+ * @param {string} directory - Journal directory
+ * @param {string} networkKey - Network profile name
+ * @returns {string} Path of <directory>/<network>.jsonl
+ */
+function getJournalFile(directory, networkKey) {
+    return path.join(directory, `${networkKey}.jsonl`);
+}
+
+/**
+ * List the networks that have a journal
+ * 
+ * @param {string} directory - Journal directory
+ * @returns {Promise<string[]>} Network profile names
+ */
+async function listJournalNetworks(directory) {
+    try {
+        const files = await fs.readdir(directory);
+        return files.filter(file => file.endsWith('.jsonl')).map(file => path.basename(file, '.jsonl'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Append an entry to a journal and flush it to disk before returning
+ * A line cut short by a crash is ended first, so the entry starts on a line of its own
+ * 
+ * @param {string} file - Journal file
+ * @param {Object} entry - Journal entry
+ * @returns {Promise<void>}
+ */
+async function appendJournalEntry(file, entry) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    
+    const line = JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    const handle = await fs.open(file, 'a+');
+    
+    try {
+        const { size } = await handle.stat();
+        const last = Buffer.alloc(1);
+        
+        if (size > 0) {
+            await handle.read(last, 0, 1, size - 1);
+        }
+        
+        await handle.appendFile((size > 0 && last.toString() !== '\n' ? '\n' : '') + line + '\n');
+        await handle.datasync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Read a journal's entries in the order they were written
+ * Lines cut short by a crash are skipped
+ * 
+ * @param {string} file - Journal file
+ * @returns {Promise<Array>} Entries, or an empty array if the journal does not exist
+ */
+async function readJournal(file) {
+    let content;
+    
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    
+    const entries = [];
+    
+    content.split('\n').map(line => line.trim()).filter(line => line).forEach(line => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // Incomplete entry, written when the process died
+        }
+    });
+    
+    return entries;
+}
+
+/**
+ * Get the transactions whose latest journal entry is still pending (signed, outcome unknown)
+ * 
+ * @param {Array} entries - Journal entries
+ * @returns {Array} Latest entry of each pending transaction
+ */
+function getPendingEntries(entries) {
+    const latest = new Map();
+    
+    entries
+        .filter(entry => entry.type === 'transaction' && entry.hash)
+        .forEach(entry => latest.set(entry.hash.toLowerCase(), entry));
+    
+    return Array.from(latest.values()).filter(entry => entry.status === 'pending');
+}
+
+/**
+ * Read a JSON state file
+ * 
+ * @param {string} file - State file
+ * @returns {Promise<Object|null>} State, or null if the file does not exist
+ */
+async function readState(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Write a JSON state file
+ * The file is replaced in one step, so a crash leaves either the old or the new state
+ * 
+ * @param {string} file - State file
+ * @param {Object} state - State
+ * @returns {Promise<void>}
+ */
+async function writeState(file, state) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(state, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+    await fs.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Read the state of the latest cycle
+ * 
+ * @param {string} directory - Journal directory
+ * @returns {Promise<Object|null>} { id, startedAt, completedAt }, or null before the first cycle
+ */
+async function readCycleState(directory) {
+    return await readState(path.join(directory, 'cycle.json'));
+}
+
+/**
+ * Write the state of the current cycle
+ * 
+ * @param {string} directory - Journal directory
+ * @param {Object} state - { id, startedAt, completedAt }
+ * @returns {Promise<void>}
+ */
+async function writeCycleState(directory, state) {
+    await writeState(path.join(directory, 'cycle.json'), state);
+}
+
+/**
+ * Read the operation checkpoints of the latest cycle
+ * 
+ * @param {string} directory - Journal directory
+ * @returns {Promise<Object|null>} { cycle, wallets } with checkpoints by lowercase wallet address, or null if none were saved
+ */
+async function readCheckpoints(directory) {
+    return await readState(path.join(directory, 'checkpoint.json'));
+}
+
+/**
+ * Write the operation checkpoints of the current cycle
+ * 
+ * @param {string} directory - Journal directory
+ * @param {Object} checkpoints - { cycle, wallets }
+ * @returns {Promise<void>}
+ */
+async function writeCheckpoints(directory, checkpoints) {
+    await writeState(path.join(directory, 'checkpoint.json'), checkpoints);
+}
+
+module.exports = {
+    getJournalConfig,
+    getJournalFile,
+    listJournalNetworks,
+    appendJournalEntry,
+    readJournal,
+    getPendingEntries,
+    readCycleState,
+    writeCycleState,
+    readCheckpoints,
+    writeCheckpoints
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+// src/utils/transactionPolicy.js
+const { Web3 } = require('web3');
+const constants = require('./constants');
+
+/**
+ * Get transaction policy settings (general.policy)
+ * 
+ * @param {Object} config - Configuration object
+ * @returns {Object} { enabled, allowedDestinations, allowDeployments, maxValue, forbiddenSelectors, allowedChainIds }
+ */
+function getPolicyConfig(config = {}) {
+    const policy = (config.general && config.general.policy) || {};
+    
+    return {
+        enabled: policy.enabled !== undefined ? Boolean(policy.enabled) : constants.POLICY.ENABLED,
+        allowedDestinations: (policy.allowed_destinations || constants.POLICY.ALLOWED_DESTINATIONS).map(entry => entry.toLowerCase()),
+        allowDeployments: policy.allow_deployments !== undefined ? Boolean(policy.allow_deployments) : constants.POLICY.ALLOW_DEPLOYMENTS,
+        maxValue: policy.max_value !== undefined && policy.max_value !== null
+            ? BigInt(Web3.utils.toWei(Number(policy.max_value), 'ether'))
+            : null,
+        forbiddenSelectors: (policy.forbidden_selectors || []).map(selector => selector.toLowerCase()),
+        allowedChainIds: (policy.allowed_chain_ids || []).map(Number)
+    };
+}
+
+/**
+ * Check whether a destination matches an allowed_destinations entry
+ * Entries are addresses or the keywords "self", "deployed" (contracts this tool deployed) and "bridge" (the bridge inbox)
+ * 
+ * @param {string} to - Destination address
+ * @param {Array} allowedDestinations - Lowercased allowed_destinations entries
+ * @param {Object} context - { self, isDeployedContract(address) }
+ * @returns {boolean} True if allowed
+ */
+function isAllowedDestination(to, allowedDestinations, context) {
+    const address = to.toLowerCase();
+    
+    return allowedDestinations.some(entry => {
+        switch (entry) {
+            case 'self':
+                return Boolean(context.self) && address === context.self.toLowerCase();
+            case 'deployed':
+                return context.isDeployedContract(address);
+            case 'bridge':
+                return address === constants.BRIDGE.INBOX_ADDRESS.toLowerCase();
+            default:
+                return address === entry;
+        }
+    });
+}
+
+/**
+ * Evaluate a transaction against the policy rules, in order:
+ * chain_id, destination (or deployment), max_value, forbidden_selector
+ * 
+ * @param {Object} tx - Transaction with chainId set
+ * @param {Object} policy - Result of getPolicyConfig()
+ * @param {Object} context - { self, isDeployedContract(address) }
+ * @returns {Object|null} First violated rule as { rule, message }, or null if the transaction is allowed
+ */
+function evaluatePolicy(tx, policy, context) {
+    if (!policy.enabled) return null;
+    
+    if (policy.allowedChainIds.length > 0 && !policy.allowedChainIds.includes(Number(tx.chainId))) {
+        return { rule: 'chain_id', message: `chain ID ${tx.chainId} is not in allowed_chain_ids` };
+    }
+    
+    if (!tx.to) {
+        if (!policy.allowDeployments) {
+            return { rule: 'deployment', message: 'contract deployments are not allowed' };
+        }
+    } else if (!isAllowedDestination(tx.to, policy.allowedDestinations, context)) {
+        return { rule: 'destination', message: `${tx.to} is not in allowed_destinations` };
+    }
+    
+    const value = BigInt(tx.value || 0);
+    if (policy.maxValue !== null && value > policy.maxValue) {
+        return { rule: 'max_value', message: `value ${Web3.utils.fromWei(value, 'ether')} exceeds max_value ${Web3.utils.fromWei(policy.maxValue, 'ether')}` };
+    }
+    
+    const data = (tx.data || tx.input || '0x').toLowerCase();
+    const selector = data.length >= 10 ? data.slice(0, 10) : null;
+    if (selector && tx.to && policy.forbiddenSelectors.includes(selector)) {
+        return { rule: 'forbidden_selector', message: `function selector ${selector} is forbidden` };
+    }
+    
+    return null;
+}
+
+module.exports = {
+    getPolicyConfig,
+    isAllowedDestination,
+    evaluatePolicy
+};
\ No newline at end of file
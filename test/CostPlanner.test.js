@@ -0,0 +1,116 @@
+// test/CostPlanner.test.js
+const { Web3 } = require('web3');
+const BlockchainManager = require('../src/managers/BlockchainManager');
+const CostPlanner = require('../src/managers/CostPlanner');
+
+const PRIVATE_KEY = '0x' + '11'.repeat(32);
+const GAS_PRICE = BigInt(1000000000);
+
+/**
+ * Operation stub reporting a fixed cycle estimate
+ */
+function createOperation(name, estimate) {
+    return {
+        name,
+        instance: {
+            estimateCycle: jest.fn().mockResolvedValue(estimate),
+            limitUnits: jest.fn()
+        }
+    };
+}
+
+describe('CostPlanner', () => {
+    let balance;
+    
+    /**
+     * Create a planner on the local network that keeps no reserve
+     */
+    function createPlanner(planner = {}) {
+        return new CostPlanner(PRIVATE_KEY, {
+            general: {
+                network: 'local',
+                cost_planner: { enabled: true, min_balance_to_keep: 0, call_gas: 50000, ...planner }
+            }
+        });
+    }
+    
+    beforeEach(() => {
+        jest.spyOn(BlockchainManager.prototype, 'getWeb3').mockReturnValue({ utils: Web3.utils });
+        jest.spyOn(BlockchainManager.prototype, 'getMaxGasPrice').mockResolvedValue(GAS_PRICE.toString());
+        jest.spyOn(BlockchainManager.prototype, 'getBalance').mockImplementation(async () => ({ balance: balance.toString() }));
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    
+    test('keeps every operation when the balance covers the cycle', async () => {
+        balance = BigInt(300000) * GAS_PRICE;
+        const deploy = createOperation('deploy', { setupGas: BigInt(100000) });
+        const mint = createOperation('mint', { units: 2, unitGas: BigInt(100000) });
+        
+        await expect(createPlanner().plan([deploy, mint])).resolves.toEqual([deploy, mint]);
+        expect(mint.instance.limitUnits).not.toHaveBeenCalled();
+    });
+    
+    test('passes the configured call gas to the estimates', async () => {
+        balance = BigInt(0);
+        const deploy = createOperation('deploy', { setupGas: BigInt(0) });
+        
+        await createPlanner().plan([deploy]);
+        
+        expect(deploy.instance.estimateCycle).toHaveBeenCalledWith({ callGas: BigInt(50000) });
+    });
+    
+    test('shrinks the last operation by the units the balance is short', async () => {
+        balance = BigInt(600000) * GAS_PRICE;
+        const deploy = createOperation('deploy', { setupGas: BigInt(100000) });
+        const mint = createOperation('mint', { units: 10, unitGas: BigInt(100000) });
+        
+        await expect(createPlanner().plan([deploy, mint])).resolves.toEqual([deploy, mint]);
+        expect(mint.instance.limitUnits).toHaveBeenCalledWith(5);
+    });
+    
+    test('drops the lowest priority operation first', async () => {
+        balance = BigInt(1000000) * GAS_PRICE;
+        const deploy = createOperation('deploy', { setupGas: BigInt(100000) });
+        const mint = createOperation('mint', { units: 10, unitGas: BigInt(100000) });
+        
+        const planned = await createPlanner({ priorities: ['mint', 'deploy'] }).plan([deploy, mint]);
+        
+        expect(planned).toEqual([mint]);
+        expect(mint.instance.limitUnits).not.toHaveBeenCalled();
+    });
+    
+    test('drops an operation that cannot keep a single unit', async () => {
+        balance = BigInt(50000) * GAS_PRICE;
+        const deploy = createOperation('deploy', { setupGas: BigInt(100000) });
+        const mint = createOperation('mint', { units: 3, unitGas: BigInt(100000) });
+        
+        await expect(createPlanner().plan([deploy, mint])).resolves.toEqual([]);
+    });
+    
+    test('counts the value an operation sends', async () => {
+        balance = BigInt(200000) * GAS_PRICE;
+        const transfer = createOperation('transfer', { units: 4, unitGas: BigInt(21000), unitValue: BigInt(100000) * GAS_PRICE });
+        
+        await createPlanner().plan([transfer]);
+        
+        expect(transfer.instance.limitUnits).toHaveBeenCalledWith(1);
+    });
+    
+    test('runs operations that cannot be estimated unplanned', async () => {
+        balance = BigInt(0);
+        const broken = createOperation('broken', null);
+        broken.instance.estimateCycle.mockRejectedValue(new Error('compiler missing'));
+        
+        await expect(createPlanner().plan([broken])).resolves.toEqual([broken]);
+    });
+    
+    test('runs the cycle unplanned when the balance cannot be read', async () => {
+        BlockchainManager.prototype.getBalance.mockResolvedValue({ balance: '0', error: 'connection refused' });
+        const deploy = createOperation('deploy', { setupGas: BigInt(100000) });
+        
+        await expect(createPlanner().plan([deploy])).resolves.toEqual([deploy]);
+    });
+});
\ No newline at end of file
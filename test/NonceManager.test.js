@@ -0,0 +1,128 @@
+// test/NonceManager.test.js
+const NonceManager = require('../src/managers/NonceManager');
+
+const ADDRESS = '0x' + 'ab'.repeat(20);
+
+/**
+ * Web3 stub whose pending transaction count can be changed between calls
+ */
+function createWeb3(pending) {
+    const web3 = { pending, eth: {} };
+    web3.eth.getTransactionCount = jest.fn(async () => BigInt(web3.pending));
+    return web3;
+}
+
+describe('NonceManager', () => {
+    let logger;
+    let web3;
+    let manager;
+    
+    beforeEach(() => {
+        logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        web3 = createWeb3(10);
+        manager = new NonceManager(ADDRESS, 1337, logger);
+    });
+    
+    test('shares one instance per chain and address', () => {
+        const first = NonceManager.getInstance(ADDRESS, 1, logger);
+        
+        expect(NonceManager.getInstance(ADDRESS.toUpperCase().replace('0X', '0x'), 1, logger)).toBe(first);
+        expect(NonceManager.getInstance(ADDRESS, 2, logger)).not.toBe(first);
+    });
+    
+    test('gives concurrent reservations unique nonces from one network read', async () => {
+        const nonces = await Promise.all([manager.reserve(web3), manager.reserve(web3), manager.reserve(web3)]);
+        
+        expect(nonces).toEqual([10, 11, 12]);
+        expect(web3.eth.getTransactionCount).toHaveBeenCalledTimes(1);
+        expect(web3.eth.getTransactionCount).toHaveBeenCalledWith(ADDRESS, 'pending');
+    });
+    
+    test('reuses released nonces lowest first', async () => {
+        const [first, second] = await Promise.all([manager.reserve(web3), manager.reserve(web3), manager.reserve(web3)]);
+        
+        manager.release(second);
+        manager.release(first);
+        
+        await expect(manager.reserve(web3)).resolves.toBe(first);
+        await expect(manager.reserve(web3)).resolves.toBe(second);
+        await expect(manager.reserve(web3)).resolves.toBe(13);
+    });
+    
+    test('steps back when the last reserved nonce is released', async () => {
+        const nonce = await manager.reserve(web3);
+        manager.release(nonce);
+        
+        expect(manager.released).toEqual([]);
+        await expect(manager.reserve(web3)).resolves.toBe(nonce);
+    });
+    
+    test('ignores nonces that were not reserved or are already broadcast', async () => {
+        const nonce = await manager.reserve(web3);
+        manager.markBroadcast(nonce, '0x01');
+        manager.release(nonce);
+        manager.release(42);
+        
+        await expect(manager.reserve(web3)).resolves.toBe(11);
+    });
+    
+    test('resyncs to the network without handing out nonces still reserved', async () => {
+        const [first, second] = await Promise.all([manager.reserve(web3), manager.reserve(web3)]);
+        manager.markBroadcast(first, '0x01');
+        
+        // Another sender used the next nonces
+        web3.pending = 15;
+        await expect(manager.resync(web3)).resolves.toBe(15);
+        
+        // The network is behind a nonce still reserved here
+        web3.pending = 11;
+        await expect(manager.resync(web3)).resolves.toBe(second + 1);
+    });
+    
+    test('drops released nonces the network already used on resync', async () => {
+        const nonces = await Promise.all([manager.reserve(web3), manager.reserve(web3), manager.reserve(web3)]);
+        manager.release(nonces[0]);
+        manager.release(nonces[1]);
+        
+        web3.pending = 11;
+        await manager.resync(web3);
+        
+        expect(manager.released).toEqual([11]);
+    });
+    
+    test('only resets while no nonce is reserved', async () => {
+        const nonce = await manager.reserve(web3);
+        
+        manager.reset();
+        expect(manager.nextNonce).toBe(11);
+        
+        manager.markBroadcast(nonce, '0x01');
+        manager.reset();
+        expect(manager.nextNonce).toBeNull();
+    });
+    
+    test('reports the nonce the network stopped at and released nonces above it', async () => {
+        const nonces = await Promise.all([10, 11, 12, 13].map(() => manager.reserve(web3)));
+        manager.markBroadcast(nonces[0], '0x0a');
+        manager.markBroadcast(nonces[1], '0x0b');
+        manager.markBroadcast(nonces[3], '0x0d');
+        manager.release(nonces[2]);
+        
+        // The transaction with nonce 11 was dropped
+        web3.pending = 11;
+        
+        await expect(manager.findGaps(web3)).resolves.toEqual([
+            { nonce: 11, txHash: '0x0b' },
+            { nonce: 12, txHash: null }
+        ]);
+    });
+    
+    test('reports no gaps once the network caught up', async () => {
+        const nonce = await manager.reserve(web3);
+        manager.markBroadcast(nonce, '0x0a');
+        
+        web3.pending = 11;
+        
+        await expect(manager.findGaps(web3)).resolves.toEqual([]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+// test/compilationCache.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SOURCE = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "lib/Value.sol";
+
+contract Holder {
+    function get() external pure returns (uint256) {
+        return Value.VALUE;
+    }
+}
+`;
+
+/**
+ * Library source returning a given constant
+ */
+function librarySource(value) {
+    return `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+library Value {
+    uint256 internal constant VALUE = ${value};
+}
+`;
+}
+
+describe('compilation cache', () => {
+    let directory;
+    let config;
+    
+    /**
+     * Load ContractManager with an empty in-memory cache, as a new run would
+     */
+    function loadContractManager() {
+        let ContractManager;
+        jest.isolateModules(() => {
+            ContractManager = require('../src/managers/ContractManager');
+        });
+        
+        jest.spyOn(ContractManager.prototype, '_compile');
+        return new ContractManager({ walletNum: null, getNetwork: () => ({ compiler: {} }) }, config);
+    }
+    
+    /**
+     * Write the imported library
+     */
+    function writeLibrary(value) {
+        fs.writeFileSync(path.join(directory, 'contracts', 'lib', 'Value.sol'), librarySource(value));
+    }
+    
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'compilation-cache-'));
+        fs.mkdirSync(path.join(directory, 'contracts', 'lib'), { recursive: true });
+        writeLibrary(1);
+        
+        config = {
+            general: {
+                compiler: { contracts_directory: path.join(directory, 'contracts'), include_paths: [] },
+                compilation_cache: { enabled: true, directory: path.join(directory, 'cache') }
+            }
+        };
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    test('compiles a contract once per run', async () => {
+        const contractManager = loadContractManager();
+        
+        const first = await contractManager.compileContract('Holder', SOURCE);
+        const second = await contractManager.compileContract('Holder', SOURCE);
+        
+        expect(second).toEqual(first);
+        expect(contractManager._compile).toHaveBeenCalledTimes(1);
+    });
+    
+    test('compiles again in the same run when an import changed', async () => {
+        const contractManager = loadContractManager();
+        
+        const first = await contractManager.compileContract('Holder', SOURCE);
+        writeLibrary(2);
+        const second = await contractManager.compileContract('Holder', SOURCE);
+        
+        expect(second.bytecode).not.toBe(first.bytecode);
+        expect(contractManager._compile).toHaveBeenCalledTimes(2);
+    });
+    
+    test('reuses the on-disk artifact in a later run until an import changed', async () => {
+        const first = await loadContractManager().compileContract('Holder', SOURCE);
+        
+        const unchanged = loadContractManager();
+        await expect(unchanged.compileContract('Holder', SOURCE)).resolves.toEqual(first);
+        expect(unchanged._compile).not.toHaveBeenCalled();
+        
+        writeLibrary(2);
+        
+        const changed = loadContractManager();
+        const second = await changed.compileContract('Holder', SOURCE);
+        expect(second.bytecode).not.toBe(first.bytecode);
+        expect(changed._compile).toHaveBeenCalledTimes(1);
+    });
+    
+    test('does not store contracts compiled with the cache off', async () => {
+        const contractManager = loadContractManager();
+        
+        await contractManager.compileContract('Holder', SOURCE, null, { cache: false });
+        await contractManager.compileContract('Holder', SOURCE, null, { cache: false });
+        
+        expect(contractManager._compile).toHaveBeenCalledTimes(2);
+        expect(fs.existsSync(path.join(directory, 'cache'))).toBe(false);
+    });
+});
\ No newline at end of file
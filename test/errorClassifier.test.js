@@ -0,0 +1,88 @@
+// test/errorClassifier.test.js
+const { ERROR_CATEGORIES, TransactionError, classifyError, decodeRevertReason } = require('../src/utils/errorClassifier');
+
+/**
+ * ABI encode an Error(string) revert payload
+ */
+function encodeErrorString(reason) {
+    const hex = Buffer.from(reason, 'utf8').toString('hex');
+    const word = value => value.toString(16).padStart(64, '0');
+    return '0x08c379a0' + word(32) + word(hex.length / 2) + hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+}
+
+describe('classifyError', () => {
+    test.each([
+        ['insufficient funds for gas * price + value', ERROR_CATEGORIES.INSUFFICIENT_FUNDS, false],
+        ['nonce too low', ERROR_CATEGORIES.NONCE_TOO_LOW, true],
+        ['already known', ERROR_CATEGORIES.NONCE_TOO_LOW, true],
+        ["the tx doesn't have the correct nonce. account has nonce of: 5 tx has nonce of: 4", ERROR_CATEGORIES.NONCE_TOO_LOW, true],
+        ['replacement transaction underpriced', ERROR_CATEGORIES.REPLACEMENT_UNDERPRICED, true],
+        ['exceeds block gas limit', ERROR_CATEGORIES.GAS_LIMIT_EXCEEDED, false],
+        ['execution reverted: Ownable: caller is not the owner', ERROR_CATEGORIES.EXECUTION_REVERTED, false],
+        ['Too Many Requests', ERROR_CATEGORIES.RATE_LIMITED, true],
+        ['connect ETIMEDOUT 10.0.0.1:8545', ERROR_CATEGORIES.RPC_TIMEOUT, true],
+        ['transaction not found', ERROR_CATEGORIES.TRANSACTION_DROPPED, true],
+        ['something unexpected', ERROR_CATEGORIES.UNKNOWN, false]
+    ])('classifies "%s"', (message, category, retryable) => {
+        expect(classifyError(new Error(message))).toMatchObject({ category, retryable });
+    });
+    
+    test('reads messages from nested web3 errors', () => {
+        const error = new Error('Returned error');
+        error.innerError = { message: 'wrapped', cause: { message: 'insufficient funds' } };
+        
+        expect(classifyError(error).category).toBe(ERROR_CATEGORIES.INSUFFICIENT_FUNDS);
+    });
+    
+    test('classifies by web3 error name before the message', () => {
+        const error = new Error('Transaction was not mined within 750 seconds');
+        error.name = 'TransactionRevertInstructionError';
+        
+        expect(classifyError(error).category).toBe(ERROR_CATEGORIES.EXECUTION_REVERTED);
+    });
+    
+    test('treats HTTP 429 and code -32005 as rate limits', () => {
+        expect(classifyError(Object.assign(new Error('request failed'), { statusCode: 429 })).category)
+            .toBe(ERROR_CATEGORIES.RATE_LIMITED);
+        expect(classifyError({ message: 'limit', code: -32005 }).category).toBe(ERROR_CATEGORIES.RATE_LIMITED);
+    });
+    
+    test('decodes the revert reason from revert data', () => {
+        const error = new Error('execution reverted');
+        error.data = { data: encodeErrorString('Not enough tokens') };
+        
+        expect(classifyError(error)).toMatchObject({
+            category: ERROR_CATEGORIES.EXECUTION_REVERTED,
+            reason: 'Not enough tokens'
+        });
+    });
+    
+    test('falls back to the plain-text revert reason', () => {
+        expect(classifyError(new Error('execution reverted: Paused')).reason).toBe('Paused');
+    });
+    
+    test('keeps the category of a TransactionError', () => {
+        const error = new TransactionError('budget used up', { category: ERROR_CATEGORIES.BUDGET_EXCEEDED });
+        
+        expect(classifyError(error)).toMatchObject({ category: ERROR_CATEGORIES.BUDGET_EXCEEDED, retryable: false });
+    });
+    
+    test('returns unknown for a missing error', () => {
+        expect(classifyError(null)).toMatchObject({ category: ERROR_CATEGORIES.UNKNOWN, retryable: false });
+    });
+});
+
+describe('decodeRevertReason', () => {
+    test('decodes Panic(uint256)', () => {
+        expect(decodeRevertReason('0x4e487b71' + '11'.padStart(64, '0'))).toBe('panic code 0x11');
+    });
+    
+    test('names the selector of a custom error', () => {
+        expect(decodeRevertReason('0xdeadbeef')).toBe('custom error 0xdeadbeef');
+    });
+    
+    test('ignores data that is not a revert payload', () => {
+        expect(decodeRevertReason('0x')).toBeNull();
+        expect(decodeRevertReason(null)).toBeNull();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+// test/offlinePreparation.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Web3 } = require('web3');
+const BlockchainManager = require('../src/managers/BlockchainManager');
+const BaseOperation = require('../src/operations/BaseOperation');
+const { readPreparedTransactions } = require('../src/utils/preparedTransactions');
+
+const PRIVATE_KEY = '0x' + '11'.repeat(32);
+const PENDING_NONCE = 49;
+
+/**
+ * Operation that deploys a contract and sends a transfer to the wallet itself
+ */
+class DeployAndTransfer extends BaseOperation {
+    constructor(signer, config) {
+        super(signer, config, 'deploy_and_transfer');
+    }
+    
+    async executeOperations() {
+        const deployment = await this.blockchain.sendTransaction({ data: '0x6080604052' }, 'deploy');
+        const transfer = await this.blockchain.sendTransaction({ to: this.blockchain.address, value: '1' }, 'transfer');
+        return deployment.success && transfer.success;
+    }
+}
+
+describe('offline preparation', () => {
+    let directory;
+    let config;
+    
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-'));
+        config = {
+            general: {
+                network: 'local',
+                offline: { enabled: true, sign: false, file: path.join(directory, 'prepared.jsonl') }
+            },
+            operations: {
+                deploy_and_transfer: { enabled: true }
+            }
+        };
+        
+        // The network never sees the prepared transactions, so its pending nonce stays the same
+        const web3 = { eth: { getTransactionCount: jest.fn().mockResolvedValue(BigInt(PENDING_NONCE)) }, utils: Web3.utils };
+        jest.spyOn(BlockchainManager.prototype, 'getWeb3').mockReturnValue(web3);
+        jest.spyOn(BlockchainManager.prototype, 'assertNetworkVerified').mockResolvedValue();
+        jest.spyOn(BlockchainManager.prototype, 'getFeeData').mockResolvedValue({ gasPrice: '1000000000' });
+        jest.spyOn(BlockchainManager.prototype, 'estimateGas').mockResolvedValue(100000);
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    test('gives the transactions of consecutive operations unique, consecutive nonces', async () => {
+        await expect(new DeployAndTransfer(PRIVATE_KEY, config).execute()).resolves.toBe(true);
+        await expect(new DeployAndTransfer(PRIVATE_KEY, config).execute()).resolves.toBe(true);
+        
+        const records = await readPreparedTransactions(config.general.offline.file);
+        const nonces = records.map(record => record.nonce);
+        const contracts = records.map(record => record.contractAddress).filter(Boolean);
+        
+        expect(nonces).toEqual([PENDING_NONCE, PENDING_NONCE + 1, PENDING_NONCE + 2, PENDING_NONCE + 3]);
+        expect(new Set(contracts).size).toBe(2);
+    });
+});
\ No newline at end of file